@@ -9,6 +9,23 @@
   if (!match) return;
   const nodeId = match[1];
 
+  const msg = (key, ...substitutions) => chrome.i18n.getMessage(key, substitutions.map(String));
+
+  // Citations link to the comment on this page (render.js)
+  const {
+    renderSummary,
+    renderLatestCode,
+    renderRelated,
+    renderIssueChips,
+    renderMarkdown,
+    inlineFormat,
+    profileUrl,
+    escapeHtml,
+  } = createRenderer({
+    cite: (number, citation) =>
+      pageComments().has(number) || citation?.cid ? citationLink(number, citation) : null,
+  });
+
   // Create panel
   const panel = document.createElement("div");
   panel.id = "dis-panel";
@@ -25,28 +42,124 @@
         <rect width="20" height="20" rx="4" fill="#0076b6"/>
         <path d="M5 7h10M5 10h10M5 13h7" stroke="#fff" stroke-width="1.5" stroke-linecap="round"/>
       </svg>
-      <span class="dis-title">AI Summary</span>
+      <span class="dis-title">${msg("panelTitle")}</span>
       <span class="dis-badge" id="dis-badge" aria-live="polite"></span>
-      <button class="dis-btn dis-btn-analyze" id="dis-analyze" title="Analyze issue with Claude" aria-label="Analyze issue">
-        <span aria-hidden="true">&#x2728;</span> Analyze
+      <select class="dis-select" id="dis-profile" title="${msg("panelProfile")}" aria-label="${msg("panelProfile")}">
+        <option value="standard">${msg("profileStandard")}</option>
+      </select>
+      <button class="dis-btn dis-btn-analyze" id="dis-analyze" title="${msg("panelAnalyzeTitle")}" aria-label="${msg("panelAnalyzeLabel")}">
+        <span aria-hidden="true">&#x2728;</span> ${msg("panelAnalyze")}
+      </button>
+      <button class="dis-btn" id="dis-reanalyze" title="${msg("panelReanalyzeLabel")}" aria-label="${msg("panelReanalyzeLabel")}" style="display:none;">
+        <span aria-hidden="true">&#x21bb;</span> ${msg("panelReanalyze")}
+      </button>
+      <span class="dis-export" id="dis-export" style="display:none;">
+        <button class="dis-btn" id="dis-export-btn" title="${msg("panelExportTitle")}" aria-haspopup="menu" aria-expanded="false">
+          <span aria-hidden="true">&#x21E9;</span> <span id="dis-export-label">${msg("panelExport")}</span>
+        </button>
+        <span class="dis-menu" id="dis-export-menu" role="menu" hidden>
+          <button type="button" class="dis-menu-item" role="menuitem" data-format="markdown">${msg("exportCopyMarkdown")}</button>
+          <button type="button" class="dis-menu-item" role="menuitem" data-format="html">${msg("exportCopyHtml")}</button>
+          <button type="button" class="dis-menu-item" role="menuitem" data-format="slack">${msg("exportCopySlack")}</button>
+          <button type="button" class="dis-menu-item" role="menuitem" data-format="file">${msg("exportDownload")}</button>
+        </span>
+      </span>
+      <button class="dis-btn" id="dis-history-btn" title="${msg("panelHistoryTitle")}" aria-label="${msg("historyHeading")}" style="display:none;">
+        <span aria-hidden="true">&#x1F552;</span> ${msg("panelHistory")}
+      </button>
+      <button class="dis-btn" id="dis-watch" title="${msg("panelWatchTitle")}" aria-pressed="false">
+        <span aria-hidden="true">&#x2606;</span> ${msg("panelWatch")}
+      </button>
+      <button class="dis-btn" id="dis-draft-btn" title="${msg("panelDraftTitle")}" aria-label="${msg("draftHeading")}">
+        <span aria-hidden="true">&#x1F4DD;</span> ${msg("panelDraft")}
+      </button>
+      <button class="dis-btn" id="dis-credit-btn" title="${msg("panelCreditTitle")}" aria-label="${msg("creditHeading")}">
+        <span aria-hidden="true">&#x1F3C5;</span> ${msg("panelCredit")}
+      </button>
+      <button class="dis-btn" id="dis-preview-btn" title="${msg("panelPreviewTitle")}" aria-label="${msg("previewHeading")}">
+        <span aria-hidden="true">&#x1F50D;</span> ${msg("panelPreview")}
       </button>
-      <button class="dis-btn" id="dis-reanalyze" title="Re-analyze issue" aria-label="Re-analyze issue" style="display:none;">
-        <span aria-hidden="true">&#x21bb;</span> Re-analyze
+      <button class="dis-btn" id="dis-cancel" title="${msg("panelCancelTitle")}" aria-label="${msg("panelCancelLabel")}" style="display:none;">
+        <span aria-hidden="true">&#x25A0;</span> ${msg("panelCancel")}
       </button>
       <span class="dis-collapse-icon" id="dis-collapse-icon" aria-hidden="true">&#x25BC;</span>
+      <span class="dis-chips" id="dis-chips"></span>
     </div>
     <div class="dis-body" id="dis-body">
       <div class="dis-idle" id="dis-idle">
-        Click <strong>Analyze</strong> to summarize this issue with Claude AI.
+        ${msg("panelIdle", `<strong>${msg("panelAnalyze")}</strong>`)}
       </div>
-      <div class="dis-loading" id="dis-loading" role="status" aria-label="Loading summary" style="display:none;">
+      <div class="dis-loading" id="dis-loading" role="status" aria-label="${msg("panelLoadingLabel")}" style="display:none;">
         <div class="dis-spinner"></div>
-        <span>Analyzing issue with Claude...</span>
+        <span id="dis-loading-text">${msg("panelAnalyzing")}</span>
+      </div>
+      <div class="dis-notice" id="dis-preflight" role="alert" style="display:none;">
+        <span id="dis-preflight-text"></span>
+        <span class="dis-notice-actions">
+          <button class="dis-btn" id="dis-preflight-start">${msg("preflightStart")}</button>
+          <button class="dis-btn" id="dis-preflight-cancel">${msg("panelCancel")}</button>
+        </span>
+      </div>
+      <div class="dis-notice" id="dis-warning" role="status" style="display:none;"></div>
+      <div class="dis-notice" id="dis-notice" role="status" style="display:none;">
+        <span id="dis-notice-text"></span>
+        <button class="dis-btn" id="dis-update" title="${msg("panelUpdateTitle")}" aria-label="${msg("panelUpdateLabel")}">
+          <span aria-hidden="true">&#x2795;</span> ${msg("panelUpdate")}
+        </button>
       </div>
       <div class="dis-content" id="dis-content" style="display:none;"></div>
+      <div class="dis-draft" id="dis-history" style="display:none;">
+        <div class="dis-draft-header">
+          <h2>${msg("historyHeading")}</h2>
+          <button class="dis-btn" id="dis-history-close" title="${msg("historyCloseTitle")}" aria-label="${msg("historyCloseLabel")}">&#x2715;</button>
+        </div>
+        <div class="dis-history-versions">
+          <label>${msg("historyFrom")} <select class="dis-select" id="dis-history-from"></select></label>
+          <label>${msg("historyTo")} <select class="dis-select" id="dis-history-to"></select></label>
+        </div>
+        <div class="dis-draft-status" id="dis-history-status" role="status"></div>
+        <div class="dis-content" id="dis-history-diff"></div>
+      </div>
+      <div class="dis-draft" id="dis-draft" style="display:none;">
+        <div class="dis-draft-header">
+          <h2>${msg("draftHeading")}</h2>
+          <button class="dis-btn" id="dis-draft-copy" title="${msg("draftCopyTitle")}">${msg("draftCopy")}</button>
+          <button class="dis-btn" id="dis-draft-diff-toggle" title="${msg("draftDiffTitle")}">${msg("draftShowChanges")}</button>
+          <button class="dis-btn" id="dis-draft-close" title="${msg("draftCloseTitle")}" aria-label="${msg("draftCloseLabel")}">&#x2715;</button>
+        </div>
+        <div class="dis-draft-status" id="dis-draft-status" role="status"></div>
+        <div class="dis-content dis-draft-preview" id="dis-draft-preview"></div>
+        <pre class="dis-diff" id="dis-draft-diff" style="display:none;"></pre>
+      </div>
+      <div class="dis-draft" id="dis-credit" style="display:none;">
+        <div class="dis-draft-header">
+          <h2>${msg("creditHeading")}</h2>
+          <button class="dis-btn" id="dis-credit-close" title="${msg("creditCloseTitle")}" aria-label="${msg("creditCloseLabel")}">&#x2715;</button>
+        </div>
+        <div class="dis-draft-status" id="dis-credit-status" role="status"></div>
+        <div class="dis-content" id="dis-credit-report"></div>
+      </div>
+      <div class="dis-draft" id="dis-preview" style="display:none;">
+        <div class="dis-draft-header">
+          <h2>${msg("previewHeading")}</h2>
+          <button class="dis-btn" id="dis-preview-close" title="${msg("previewCloseTitle")}" aria-label="${msg("previewCloseLabel")}">&#x2715;</button>
+        </div>
+        <div class="dis-draft-status" id="dis-preview-status" role="status"></div>
+        <div class="dis-content" id="dis-preview-prompt"></div>
+      </div>
+      <div class="dis-chat" id="dis-chat" style="display:none;">
+        <div class="dis-chat-log" id="dis-chat-log" aria-live="polite"></div>
+        <form class="dis-chat-form" id="dis-chat-form">
+          <textarea class="dis-chat-input" id="dis-chat-input" rows="1"
+                    placeholder="${msg("chatPlaceholder")}"
+                    aria-label="${msg("chatLabel")}"></textarea>
+          <button class="dis-btn" type="submit" id="dis-chat-ask">${msg("chatAsk")}</button>
+          <button class="dis-btn" type="button" id="dis-chat-clear" title="${msg("chatClearTitle")}" style="display:none;">${msg("chatClear")}</button>
+        </form>
+      </div>
       <div class="dis-error" id="dis-error" style="display:none;" role="alert"></div>
       <div class="dis-footer" id="dis-footer" style="display:none;">
-        Powered by Claude AI &middot; Drupal Issue Summarizer
+        ${msg("extName")}
       </div>
     </div>
   `;
@@ -64,12 +177,60 @@
     header: document.getElementById("dis-header"),
     idle: document.getElementById("dis-idle"),
     loading: document.getElementById("dis-loading"),
+    loadingText: document.getElementById("dis-loading-text"),
     content: document.getElementById("dis-content"),
     error: document.getElementById("dis-error"),
     footer: document.getElementById("dis-footer"),
     badge: document.getElementById("dis-badge"),
+    chips: document.getElementById("dis-chips"),
     analyze: document.getElementById("dis-analyze"),
     reanalyze: document.getElementById("dis-reanalyze"),
+    export: document.getElementById("dis-export"),
+    exportBtn: document.getElementById("dis-export-btn"),
+    exportLabel: document.getElementById("dis-export-label"),
+    exportMenu: document.getElementById("dis-export-menu"),
+    historyBtn: document.getElementById("dis-history-btn"),
+    history: document.getElementById("dis-history"),
+    historyFrom: document.getElementById("dis-history-from"),
+    historyTo: document.getElementById("dis-history-to"),
+    historyStatus: document.getElementById("dis-history-status"),
+    historyDiff: document.getElementById("dis-history-diff"),
+    historyClose: document.getElementById("dis-history-close"),
+    preflight: document.getElementById("dis-preflight"),
+    preflightText: document.getElementById("dis-preflight-text"),
+    preflightStart: document.getElementById("dis-preflight-start"),
+    preflightCancel: document.getElementById("dis-preflight-cancel"),
+    warning: document.getElementById("dis-warning"),
+    notice: document.getElementById("dis-notice"),
+    noticeText: document.getElementById("dis-notice-text"),
+    update: document.getElementById("dis-update"),
+    cancel: document.getElementById("dis-cancel"),
+    profile: document.getElementById("dis-profile"),
+    watch: document.getElementById("dis-watch"),
+    draftBtn: document.getElementById("dis-draft-btn"),
+    draft: document.getElementById("dis-draft"),
+    draftStatus: document.getElementById("dis-draft-status"),
+    draftPreview: document.getElementById("dis-draft-preview"),
+    draftDiff: document.getElementById("dis-draft-diff"),
+    draftCopy: document.getElementById("dis-draft-copy"),
+    draftDiffToggle: document.getElementById("dis-draft-diff-toggle"),
+    draftClose: document.getElementById("dis-draft-close"),
+    creditBtn: document.getElementById("dis-credit-btn"),
+    credit: document.getElementById("dis-credit"),
+    creditStatus: document.getElementById("dis-credit-status"),
+    creditReport: document.getElementById("dis-credit-report"),
+    creditClose: document.getElementById("dis-credit-close"),
+    previewBtn: document.getElementById("dis-preview-btn"),
+    preview: document.getElementById("dis-preview"),
+    previewStatus: document.getElementById("dis-preview-status"),
+    previewPrompt: document.getElementById("dis-preview-prompt"),
+    previewClose: document.getElementById("dis-preview-close"),
+    chat: document.getElementById("dis-chat"),
+    chatLog: document.getElementById("dis-chat-log"),
+    chatForm: document.getElementById("dis-chat-form"),
+    chatInput: document.getElementById("dis-chat-input"),
+    chatAsk: document.getElementById("dis-chat-ask"),
+    chatClear: document.getElementById("dis-chat-clear"),
   };
 
   // Collapse toggle
@@ -80,11 +241,11 @@
     els.header.setAttribute("aria-expanded", collapsed ? "false" : "true");
   }
   els.header.addEventListener("click", (e) => {
-    if (e.target.closest(".dis-btn")) return;
+    if (e.target.closest(".dis-btn, .dis-select, .dis-menu")) return;
     toggleCollapse();
   });
   els.header.addEventListener("keydown", (e) => {
-    if (e.target.closest(".dis-btn")) return;
+    if (e.target.closest(".dis-btn, .dis-select, .dis-menu")) return;
     if (e.key === "Enter" || e.key === " ") {
       e.preventDefault();
       toggleCollapse();
@@ -94,74 +255,961 @@
   // Analyze button (first-time trigger)
   els.analyze.addEventListener("click", (e) => {
     e.stopPropagation();
-    requestSummary(nodeId, false);
+    preflight(() => requestSummary(nodeId, false));
   });
 
   // Re-analyze button (refresh existing summary)
   els.reanalyze.addEventListener("click", (e) => {
     e.stopPropagation();
-    requestSummary(nodeId, true);
+    preflight(() => requestSummary(nodeId, true));
+  });
+
+  // Export menu: copy the cached summary in another format, or download it
+  function setExportMenu(open) {
+    els.exportMenu.hidden = !open;
+    els.exportBtn.setAttribute("aria-expanded", String(open));
+  }
+
+  els.exportBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    setExportMenu(els.exportMenu.hidden);
+    if (!els.exportMenu.hidden) els.exportMenu.querySelector("button").focus();
+  });
+
+  els.exportMenu.addEventListener("click", (e) => {
+    e.stopPropagation();
+    const item = e.target.closest("[data-format]");
+    if (!item) return;
+    setExportMenu(false);
+    exportSummary(item.dataset.format);
+  });
+
+  els.exportMenu.addEventListener("keydown", (e) => {
+    const items = [...els.exportMenu.querySelectorAll("button")];
+    const index = items.indexOf(document.activeElement);
+    if (e.key === "Escape") {
+      setExportMenu(false);
+      els.exportBtn.focus();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      items[(index + step + items.length) % items.length].focus();
+    }
+  });
+
+  document.addEventListener("click", (e) => {
+    if (!els.exportMenu.hidden && !els.export.contains(e.target)) setExportMenu(false);
+  });
+
+  let exportTimer = null;
+
+  function exportSummary(format) {
+    chrome.runtime.sendMessage(
+      { action: "EXPORT_SUMMARY", nodeId, profileId: els.profile.value, format },
+      (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          els.warning.textContent = response?.error || msg("errorNoResponse");
+          els.warning.style.display = "flex";
+          return;
+        }
+        if (format === "file") {
+          const url = URL.createObjectURL(new Blob([response.text], { type: "text/markdown" }));
+          const link = document.createElement("a");
+          link.href = url;
+          link.download = response.filename;
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(url), 0);
+          return;
+        }
+        navigator.clipboard.writeText(response.text).then(
+          () => {
+            // Brief confirmation on the button itself
+            clearTimeout(exportTimer);
+            els.exportLabel.textContent = msg("exportCopied");
+            exportTimer = setTimeout(() => {
+              els.exportLabel.textContent = msg("panelExport");
+            }, 2000);
+          },
+          () => {
+            els.warning.textContent = msg("draftCopyFailed");
+            els.warning.style.display = "flex";
+          }
+        );
+      }
+    );
+  }
+
+  // Summary history: the cached summary and the versions it replaced, with
+  // what changed between any two of them
+  let historyVersions = [];
+
+  els.historyBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (!lastSummary) return;
+    if (panel.classList.contains("dis-collapsed")) toggleCollapse();
+    const { summary, meta } = lastSummary;
+    historyVersions = [{ ...meta, summary }, ...(meta.versions || [])];
+    for (const select of [els.historyFrom, els.historyTo]) {
+      select.replaceChildren(
+        ...historyVersions.map((version, index) => {
+          const option = document.createElement("option");
+          option.value = String(index);
+          option.textContent = versionLabel(version, index);
+          return option;
+        })
+      );
+    }
+    els.historyFrom.value = "1";
+    els.historyTo.value = "0";
+    els.history.style.display = "block";
+    renderHistoryDiff();
+  });
+
+  els.historyFrom.addEventListener("change", renderHistoryDiff);
+  els.historyTo.addEventListener("change", renderHistoryDiff);
+
+  els.historyClose.addEventListener("click", () => {
+    els.history.style.display = "none";
+  });
+
+  function versionLabel(version, index) {
+    const label = version.generatedAt
+      ? msg(
+          "historyVersion",
+          new Date(version.generatedAt).toLocaleString(),
+          version.commentCount,
+          version.model || "?"
+        )
+      : msg("historyVersionUndated");
+    return index === 0 ? msg("historyCurrent", label) : label;
+  }
+
+  const HISTORY_SECTIONS = [
+    { key: "sinceLastTime", label: msg("summarySinceLastTime"), list: true },
+    { key: "tldr", label: msg("summaryTldr") },
+    { key: "currentStatus", label: msg("summaryCurrentStatus") },
+    { key: "keyPoints", label: msg("summaryKeyPoints"), list: true },
+    { key: "actionItems", label: msg("summaryActionItems"), list: true },
+    { key: "notableContext", label: msg("summaryNotableContext") },
+  ];
+
+  // A section as text (prose) or lines (lists). Citations are left out: a
+  // point cited differently has not changed.
+  function sectionContent(summary, { key, list }) {
+    if (typeof summary === "string") summary = parseMarkdownSummary(summary);
+    const value = summary?.[key];
+    if (!list) return typeof value === "string" ? value : "";
+    if (!Array.isArray(value)) return [];
+    if (key !== "actionItems") {
+      return value.map((point) => (typeof point === "string" ? point : point?.text)).filter(Boolean);
+    }
+    return value
+      .filter((item) => item && typeof item.task === "string")
+      .map((item) =>
+        [item.task, item.owner && `@${item.owner}`, item.blocking === true && `[${msg("summaryBlocking")}]`]
+          .filter(Boolean)
+          .join(" ")
+      );
+  }
+
+  const MARKDOWN_SECTIONS = {
+    "since last time": "sinceLastTime",
+    "tl;dr": "tldr",
+    "current status": "currentStatus",
+    "key discussion points": "keyPoints",
+    "action items": "actionItems",
+    "notable context": "notableContext",
+  };
+
+  // Summaries cached before structured output are markdown with one "##"
+  // heading per section. List items lose their checkbox and the comment
+  // numbers they cite; owner and blocking stay part of the task text.
+  function parseMarkdownSummary(markdown) {
+    const summary = {};
+    let key = null;
+    for (const line of markdown.split("\n")) {
+      const heading = line.match(/^#{1,3}\s+(.+?)\s*$/);
+      if (heading) {
+        key = MARKDOWN_SECTIONS[heading[1].toLowerCase()] || null;
+        continue;
+      }
+      if (!key || !line.trim()) continue;
+      const section = HISTORY_SECTIONS.find((s) => s.key === key);
+      if (section.list) {
+        const text = line
+          .replace(/^\s*[-*]\s+(?:\[[ xX]\]\s+)?/, "")
+          .replace(/\s*\(#\d+(?:,\s*#\d+)*\)\s*$/, "")
+          .trim();
+        summary[key] = [...(summary[key] || []), key === "actionItems" ? { task: text } : text];
+      } else {
+        summary[key] = summary[key] ? `${summary[key]} ${line.trim()}` : line.trim();
+      }
+    }
+    return summary;
+  }
+
+  function renderHistoryDiff() {
+    const from = historyVersions[Number(els.historyFrom.value)];
+    const to = historyVersions[Number(els.historyTo.value)];
+    if (!from || !to || from === to) {
+      els.historyStatus.textContent = msg("historySameVersion");
+      els.historyDiff.replaceChildren();
+      return;
+    }
+
+    let changed = 0;
+    const sections = HISTORY_SECTIONS.map((section) => {
+      const before = sectionContent(from.summary, section);
+      const after = sectionContent(to.summary, section);
+      if (!before.length && !after.length) return "";
+      const same = section.list
+        ? before.length === after.length && before.every((line, i) => line === after[i])
+        : before === after;
+      if (same) {
+        return `<div class="dis-history-section"><h3>${section.label}</h3>
+          <p class="dis-history-same">${msg("historyUnchanged")}</p></div>`;
+      }
+      changed++;
+      const body = section.list ? renderListDiff(before, after) : `<p>${renderWordDiff(before, after)}</p>`;
+      return `<div class="dis-history-section dis-history-changed"><h3>${section.label}
+        <span class="dis-tag dis-status-review">${msg("historyChanged")}</span></h3>${body}</div>`;
+    });
+
+    const parts = [
+      changed === 0
+        ? msg("historyNoChanges")
+        : msg(changed === 1 ? "historyChangedOne" : "historyChangedOther", changed),
+    ];
+    if (from.commentCount != null && to.commentCount != null && from.commentCount !== to.commentCount) {
+      parts.push(msg("historyComments", from.commentCount, to.commentCount));
+    }
+    els.historyStatus.textContent = parts.join(" · ");
+    els.historyDiff.innerHTML = sections.join("");
+  }
+
+  // Word diff of two paragraphs: each changed run shows the removed words,
+  // then the added ones
+  function renderWordDiff(before, after) {
+    const words = (text) => text.match(/\S+\s*/g) || [];
+    let html = "";
+    let removed = "";
+    let added = "";
+    const flush = () => {
+      if (removed) html += `<del class="dis-diff-del">${escapeHtml(removed)}</del>`;
+      if (added) html += `<ins class="dis-diff-add">${escapeHtml(added)}</ins>`;
+      removed = added = "";
+    };
+    for (const { type, text } of diffLines(words(before), words(after))) {
+      if (type === "del") removed += text;
+      else if (type === "add") added += text;
+      else {
+        flush();
+        html += escapeHtml(text);
+      }
+    }
+    flush();
+    return html;
+  }
+
+  function renderListDiff(before, after) {
+    const items = diffLines(before, after).map(
+      ({ type, text }) => `<li class="dis-diff-${type}">${escapeHtml(text)}</li>`
+    );
+    return `<ul class="dis-history-list">${items.join("")}</ul>`;
+  }
+
+  // Issues with this many comments get a cost estimate before a full summary
+  const PREFLIGHT_MIN_COMMENTS = 100;
+  let preflightStart = null;
+
+  function preflight(start) {
+    const comments = pageComments().size;
+    if (comments < PREFLIGHT_MIN_COMMENTS) {
+      start();
+      return;
+    }
+    chrome.runtime.sendMessage(
+      { action: "ESTIMATE_SUMMARIES", issues: [{ nodeId, comments }] },
+      (estimate) => {
+        if (chrome.runtime.lastError || !estimate || estimate.error) {
+          start();
+          return;
+        }
+        const cost =
+          estimate.cost === null
+            ? msg("costUnknown")
+            : msg("costAbout", `$${estimate.cost.toFixed(2)}`);
+        els.preflightText.textContent =
+          msg("preflightEstimate", comments, Math.round(estimate.inputTokens / 1000), cost, estimate.model) +
+          (estimate.budgetWarning ? ` ${estimate.budgetWarning}` : "");
+        preflightStart = start;
+        els.preflight.style.display = "flex";
+      }
+    );
+  }
+
+  els.preflightStart.addEventListener("click", () => {
+    els.preflight.style.display = "none";
+    const start = preflightStart;
+    preflightStart = null;
+    if (start) start();
+  });
+
+  els.preflightCancel.addEventListener("click", () => {
+    els.preflight.style.display = "none";
+    preflightStart = null;
+  });
+
+  // Update button (incremental: previous summary + new comments only)
+  els.update.addEventListener("click", (e) => {
+    e.stopPropagation();
+    requestSummary(nodeId, true, "incremental");
+  });
+
+  // Profile switcher: each profile has its own cached summary. The choice is
+  // remembered as the active profile for other issues too.
+  els.profile.addEventListener("change", () => {
+    cancelSummary();
+    requestId++; // ignore a cache check still in flight for the old profile
+    lastSummary = null;
+    showIdle();
+    chrome.storage.sync.set({ activeProfile: els.profile.value });
+    checkCachedSummary(nodeId);
+  });
+
+  // Populate the profile switcher, then show any cached summary for it
+  function loadProfiles() {
+    chrome.runtime.sendMessage({ action: "GET_PROFILES" }, (response) => {
+      if (!chrome.runtime.lastError && response && !response.error) {
+        els.profile.replaceChildren(
+          ...response.profiles.map((p) => {
+            const option = document.createElement("option");
+            option.value = p.id;
+            option.textContent = p.name;
+            return option;
+          })
+        );
+        els.profile.value = response.activeProfile;
+      }
+      checkCachedSummary(nodeId);
+    });
+  }
+
+  // Cancel button (abort the in-progress summary)
+  els.cancel.addEventListener("click", (e) => {
+    e.stopPropagation();
+    cancelSummary();
   });
 
   // Request counter to discard stale responses from concurrent requests
   let requestId = 0;
+  // Port of the in-progress summary request, if any
+  let activePort = null;
+  // Last completed summary, restored if a request is cancelled
+  let lastSummary = null;
 
-  function requestSummary(nodeId, forceRefresh) {
+  // Show a cached summary on page load, flagging it if the issue moved on
+  function checkCachedSummary(nodeId) {
+    const thisRequest = requestId;
+    chrome.runtime.sendMessage(
+      { action: "CHECK_SUMMARY", nodeId, profileId: els.profile.value },
+      (response) => {
+        if (thisRequest !== requestId) return; // user already started a request
+        if (chrome.runtime.lastError || !response || response.error) return;
+        if (!response.cached) return;
+        showSummary(response.cached.summary, true, response.cached);
+        showStaleness(response.newComments, response.statusChanged, response.status);
+      }
+    );
+  }
+
+  // Summaries stream over a port: "delta" messages carry the text so far,
+  // then exactly one "done" or "error" message ends the request.
+  function requestSummary(nodeId, forceRefresh, mode = "full") {
     const thisRequest = ++requestId;
+    if (activePort) activePort.disconnect();
     showLoading();
+
+    const port = chrome.runtime.connect({ name: "summarize" });
+    activePort = port;
+    let pendingSummary = null;
+    let frame = 0;
+
+    // Re-render at most once per animation frame; deltas arrive faster
+    function scheduleRender(summary) {
+      pendingSummary = summary;
+      if (frame) return;
+      frame = requestAnimationFrame(() => {
+        frame = 0;
+        if (thisRequest === requestId) showStreaming(pendingSummary);
+      });
+    }
+
+    function finish() {
+      if (frame) cancelAnimationFrame(frame);
+      port.disconnect();
+      if (activePort === port) activePort = null;
+    }
+
+    port.onMessage.addListener((message) => {
+      if (thisRequest !== requestId) return; // discard stale response
+      if (message.type === "delta") {
+        scheduleRender(message.summary);
+        return;
+      }
+      if (message.type === "progress") {
+        els.loadingText.textContent = message.text;
+        return;
+      }
+      if (message.type === "warning") {
+        els.warning.textContent = message.text;
+        els.warning.style.display = "flex";
+        return;
+      }
+      if (message.type === "retry") {
+        // The call starts over, so anything streamed so far is replaced
+        if (frame) cancelAnimationFrame(frame);
+        frame = 0;
+        els.content.style.display = "none";
+        els.loadingText.textContent = message.text;
+        els.loading.style.display = "flex";
+        els.badge.textContent = msg("badgeRetrying");
+        return;
+      }
+      finish();
+      if (message.type === "error") {
+        showError(message.error);
+        return;
+      }
+      showSummary(message.summary, message.fromCache, message.meta);
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (thisRequest !== requestId || activePort !== port) return;
+      activePort = null;
+      showError(chrome.runtime.lastError?.message || msg("errorNoResponse"));
+    });
+
+    port.postMessage({
+      action: "SUMMARIZE_ISSUE",
+      nodeId,
+      forceRefresh,
+      mode,
+      profileId: els.profile.value,
+      commentNumbers: pageCommentNumbers(),
+      timeline: pageTimeline(),
+    });
+  }
+
+  function cancelSummary() {
+    if (!activePort) return;
+    requestId++; // ignore anything still in flight
+    activePort.postMessage({ action: "CANCEL" });
+    activePort.disconnect();
+    activePort = null;
+    if (lastSummary) {
+      showSummary(lastSummary.summary, lastSummary.fromCache, lastSummary.meta);
+    } else {
+      showIdle();
+    }
+  }
+
+  loadProfiles();
+
+  // Watch toggle. Opening a watched issue marks its activity as read.
+  let watching = false;
+
+  function showWatching(value) {
+    watching = value;
+    els.watch.innerHTML = watching
+      ? `<span aria-hidden="true">&#x2605;</span> ${msg("panelWatching")}`
+      : `<span aria-hidden="true">&#x2606;</span> ${msg("panelWatch")}`;
+    els.watch.setAttribute("aria-pressed", String(watching));
+    els.watch.title = msg(watching ? "panelUnwatchTitle" : "panelWatchTitle");
+  }
+
+  els.watch.addEventListener("click", (e) => {
+    e.stopPropagation();
+    els.watch.disabled = true;
+    chrome.runtime.sendMessage(
+      { action: watching ? "UNWATCH_ISSUE" : "WATCH_ISSUE", nodeId },
+      (response) => {
+        els.watch.disabled = false;
+        if (chrome.runtime.lastError || !response || response.error) return;
+        showWatching(!watching);
+      }
+    );
+  });
+
+  chrome.runtime.sendMessage({ action: "GET_WATCH", nodeId }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.watch) return;
+    showWatching(true);
+    chrome.runtime.sendMessage({ action: "MARK_WATCH_READ", nodeId });
+  });
+
+  // Draft issue summary in the standard template. The model's HTML is
+  // sanitized before it is previewed or copied.
+  let draft = null; // { html, currentHtml }
+
+  els.draftBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (panel.classList.contains("dis-collapsed")) toggleCollapse();
+    draft = null;
+    els.draftBtn.disabled = true;
+    els.draft.style.display = "block";
+    els.draftStatus.textContent = msg("draftDrafting");
+    els.draftStatus.className = "dis-draft-status";
+    els.draftPreview.replaceChildren();
+    els.draftDiff.style.display = "none";
+    els.draftCopy.disabled = true;
+    els.draftDiffToggle.disabled = true;
+
     chrome.runtime.sendMessage(
-      { action: "SUMMARIZE_ISSUE", nodeId, forceRefresh },
+      {
+        action: "DRAFT_ISSUE_SUMMARY",
+        nodeId,
+        commentNumbers: pageCommentNumbers(),
+        timeline: pageTimeline(),
+      },
       (response) => {
-        if (thisRequest !== requestId) return; // discard stale response
-        if (chrome.runtime.lastError) {
-          showError(chrome.runtime.lastError.message);
+        els.draftBtn.disabled = false;
+        if (chrome.runtime.lastError || !response || response.error) {
+          els.draftStatus.textContent =
+            response?.error ||
+            chrome.runtime.lastError?.message ||
+            msg("errorNoResponse");
+          els.draftStatus.className = "dis-draft-status dis-chat-error";
           return;
         }
-        if (!response) {
-          showError("No response from extension. Try reloading the page.");
+        draft = { html: sanitizeHtml(response.html), currentHtml: response.currentHtml };
+        els.draftStatus.textContent = "";
+        els.draftPreview.innerHTML = draft.html;
+        for (const link of els.draftPreview.querySelectorAll("a")) {
+          link.target = "_blank";
+          link.rel = "noopener noreferrer";
+        }
+        els.draftCopy.disabled = false;
+        els.draftDiffToggle.disabled = false;
+        els.draftDiffToggle.textContent = msg("draftShowChanges");
+      }
+    );
+  });
+
+  els.draftCopy.addEventListener("click", () => {
+    if (!draft) return;
+    navigator.clipboard.writeText(draft.html).then(
+      () => {
+        els.draftStatus.textContent = msg("draftCopied");
+        els.draftStatus.className = "dis-draft-status";
+      },
+      () => {
+        els.draftStatus.textContent = msg("draftCopyFailed");
+        els.draftStatus.className = "dis-draft-status dis-chat-error";
+      }
+    );
+  });
+
+  els.draftDiffToggle.addEventListener("click", () => {
+    if (!draft) return;
+    const show = els.draftDiff.style.display === "none";
+    if (show) els.draftDiff.innerHTML = renderDiff(htmlLines(draft.currentHtml), htmlLines(draft.html));
+    els.draftDiff.style.display = show ? "block" : "none";
+    els.draftDiffToggle.textContent = msg(show ? "draftHideChanges" : "draftShowChanges");
+  });
+
+  els.draftClose.addEventListener("click", () => {
+    els.draft.style.display = "none";
+    draft = null;
+  });
+
+  // Credit report: each participant's contributions and a suggestion, for
+  // maintainers deciding on contribution credit
+  els.creditBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (panel.classList.contains("dis-collapsed")) toggleCollapse();
+    els.creditBtn.disabled = true;
+    els.credit.style.display = "block";
+    els.creditStatus.textContent = msg("creditAnalyzing");
+    els.creditStatus.className = "dis-draft-status";
+    els.creditReport.replaceChildren();
+
+    chrome.runtime.sendMessage(
+      {
+        action: "CREDIT_REPORT",
+        nodeId,
+        commentNumbers: pageCommentNumbers(),
+        timeline: pageTimeline(),
+      },
+      (response) => {
+        els.creditBtn.disabled = false;
+        if (chrome.runtime.lastError || !response || response.error) {
+          els.creditStatus.textContent =
+            response?.error ||
+            chrome.runtime.lastError?.message ||
+            msg("errorNoResponse");
+          els.creditStatus.className = "dis-draft-status dis-chat-error";
           return;
         }
-        if (response.error) {
-          showError(response.error);
+        els.creditStatus.textContent = msg("creditCheck");
+        els.creditReport.innerHTML = renderCreditReport(response.participants);
+      }
+    );
+  });
+
+  els.creditClose.addEventListener("click", () => {
+    els.credit.style.display = "none";
+  });
+
+  // Prompt preview: what a summary would send, after redaction, so it can be
+  // checked before anything leaves the browser
+  els.previewBtn.addEventListener("click", (e) => {
+    e.stopPropagation();
+    if (panel.classList.contains("dis-collapsed")) toggleCollapse();
+    els.previewBtn.disabled = true;
+    els.preview.style.display = "block";
+    els.previewStatus.textContent = msg("previewLoading");
+    els.previewStatus.className = "dis-draft-status";
+    els.previewPrompt.replaceChildren();
+
+    chrome.runtime.sendMessage(
+      {
+        action: "PREVIEW_PROMPT",
+        nodeId,
+        profileId: els.profile.value,
+        commentNumbers: pageCommentNumbers(),
+        timeline: pageTimeline(),
+      },
+      (response) => {
+        els.previewBtn.disabled = false;
+        if (chrome.runtime.lastError || !response || response.error) {
+          els.previewStatus.textContent =
+            response?.error ||
+            chrome.runtime.lastError?.message ||
+            msg("errorNoResponse");
+          els.previewStatus.className = "dis-draft-status dis-chat-error";
           return;
         }
-        showSummary(response.summary, response.fromCache);
+        els.previewStatus.textContent =
+          redactionSummary(response.counts) + (response.chunked ? ` ${msg("previewChunked")}` : "");
+        const prompts = response.chunked
+          ? response.parts.map(
+              (part, i) =>
+                `<h3>${msg("previewPart", i + 1, response.parts.length, part.first, part.last)}</h3>${promptHtml(part.prompt)}`
+            )
+          : [`<h3>${msg("previewIssue")}</h3>${promptHtml(response.prompt)}`];
+        els.previewPrompt.innerHTML = `<h3>${msg("previewSystem")}</h3>${promptHtml(response.system)}${prompts.join("")}`;
       }
     );
+  });
+
+  els.previewClose.addEventListener("click", () => {
+    els.preview.style.display = "none";
+  });
+
+  const REDACTION_LABELS = {
+    credentials: msg("redactCredentials"),
+    tokens: msg("redactTokens"),
+    emails: msg("redactEmails"),
+    ips: msg("redactIps"),
+    custom: msg("redactCustom"),
+  };
+
+  function redactionSummary(counts) {
+    const kinds = Object.keys(REDACTION_LABELS).filter((kind) => counts[kind]);
+    const total = kinds.reduce((sum, kind) => sum + counts[kind], 0);
+    if (total === 0) return msg("previewRedactedNone");
+    const details = kinds.map((kind) => `${REDACTION_LABELS[kind]}: ${counts[kind]}`).join(", ");
+    return msg(total === 1 ? "previewRedactedOne" : "previewRedactedOther", total, details);
+  }
+
+  // The prompt as plain text, with the redaction placeholders highlighted
+  function promptHtml(text) {
+    const html = escapeHtml(text).replace(/\[redacted(?: [\w ]+)?\]/g, '<mark class="dis-redacted">$&</mark>');
+    return `<pre class="dis-diff">${html}</pre>`;
+  }
+
+  const CREDIT_TYPE_LABELS = {
+    code: msg("creditTypeCode"),
+    review: msg("creditTypeReview"),
+    testing: msg("creditTypeTesting"),
+    screenshots: msg("creditTypeScreenshots"),
+    "issue-summary": msg("creditTypeIssueSummary"),
+    reporting: msg("creditTypeReporting"),
+    discussion: msg("creditTypeDiscussion"),
+    "plus-one": msg("creditTypePlusOne"),
+  };
+
+  // Label and chip colour of each recommendation; null is "not assessed"
+  const CREDIT_RECOMMENDATIONS = {
+    credit: [msg("creditRecommendCredit"), "done"],
+    consider: [msg("creditRecommendConsider"), "review"],
+    "no-credit": [msg("creditRecommendNone"), "closed"],
+  };
+
+  function renderCreditReport(participants) {
+    const rows = participants.map((p) => {
+      const profile = profileUrl(p.name);
+      const meta = [
+        p.reporter ? msg("creditReporter") : "",
+        msg(p.comments.length === 1 ? "creditCommentsOne" : "creditCommentsOther", p.comments.length),
+      ].filter(Boolean);
+      const contributions = p.contributions.map((c) => {
+        const cites = c.comments.map((n) => citationLink(n)).join(" ");
+        return `<li><span class="dis-tag dis-credit-type">${CREDIT_TYPE_LABELS[c.type]}</span> ${cites}</li>`;
+      });
+      const [label, statusClass] = CREDIT_RECOMMENDATIONS[p.recommendation] || [msg("creditNotAssessed"), "open"];
+      return `<tr>
+        <td><a href="${profile}" target="_blank" rel="noopener noreferrer">${escapeHtml(p.name)}</a>
+          <div class="dis-credit-meta">${meta.join(" &middot; ")}</div></td>
+        <td>${contributions.length ? `<ul>${contributions.join("")}</ul>` : "&mdash;"}</td>
+        <td><span class="dis-tag dis-status-${statusClass}">${label}</span>${
+          p.reason ? `<div class="dis-credit-reason">${inlineFormat(p.reason)}</div>` : ""
+        }</td>
+      </tr>`;
+    });
+    const headings = ["creditColumnUser", "creditColumnContributions", "creditColumnSuggestion"]
+      .map((key) => `<th scope="col">${msg(key)}</th>`)
+      .join("");
+    return `<table class="dis-credit-table">
+      <thead><tr>${headings}</tr></thead>
+      <tbody>${rows.join("")}</tbody>
+    </table>`;
+  }
+
+  // Follow-up questions. The conversation is kept by the background worker
+  // for the browser session; answers stream over a "chat" port.
+  let chatPort = null;
+
+  function appendChatMessage(role, html) {
+    const message = document.createElement("div");
+    // Answers are markdown, styled like the summary
+    message.className = `dis-chat-message dis-chat-${role}${
+      role === "assistant" ? " dis-content" : ""
+    }`;
+    message.innerHTML = html;
+    els.chatLog.appendChild(message);
+    els.chatClear.style.display = "flex";
+    return message;
   }
 
+  function askQuestion() {
+    const question = els.chatInput.value.trim();
+    if (!question || chatPort) return;
+
+    appendChatMessage("user", `<p>${escapeHtml(question)}</p>`);
+    const answer = appendChatMessage("assistant", `<p class="dis-chat-pending">${msg("chatThinking")}</p>`);
+    els.chatInput.value = "";
+    els.chatAsk.disabled = true;
+
+    const port = chrome.runtime.connect({ name: "chat" });
+    chatPort = port;
+    let frame = 0;
+    let pendingText = "";
+
+    function finish() {
+      if (frame) cancelAnimationFrame(frame);
+      port.disconnect();
+      chatPort = null;
+      els.chatAsk.disabled = false;
+    }
+
+    port.onMessage.addListener((message) => {
+      if (message.type === "warning") {
+        appendChatMessage("warning", `<p>${escapeHtml(message.text)}</p>`);
+        return;
+      }
+      if (message.type === "retry") {
+        if (frame) cancelAnimationFrame(frame);
+        frame = 0;
+        answer.innerHTML = `<p class="dis-chat-pending">${escapeHtml(message.text)}</p>`;
+        return;
+      }
+      if (message.type === "delta") {
+        pendingText = message.text;
+        if (!frame) {
+          frame = requestAnimationFrame(() => {
+            frame = 0;
+            answer.innerHTML = renderMarkdown(pendingText);
+          });
+        }
+        return;
+      }
+      finish();
+      if (message.type === "error") {
+        answer.classList.add("dis-chat-error");
+        answer.textContent = message.error;
+        return;
+      }
+      answer.innerHTML = renderMarkdown(message.answer);
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (chatPort !== port) return;
+      chatPort = null;
+      els.chatAsk.disabled = false;
+      answer.classList.add("dis-chat-error");
+      answer.textContent =
+        chrome.runtime.lastError?.message || msg("errorNoResponse");
+    });
+
+    port.postMessage({
+      action: "ASK",
+      nodeId,
+      question,
+      commentNumbers: pageCommentNumbers(),
+      timeline: pageTimeline(),
+    });
+  }
+
+  els.chatForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    askQuestion();
+  });
+
+  // Enter asks, Shift+Enter adds a line
+  els.chatInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      askQuestion();
+    }
+  });
+
+  els.chatClear.addEventListener("click", () => {
+    if (chatPort) {
+      const port = chatPort;
+      chatPort = null;
+      port.disconnect();
+      els.chatAsk.disabled = false;
+    }
+    chrome.runtime.sendMessage({ action: "CLEAR_CHAT", nodeId });
+    els.chatLog.replaceChildren();
+    els.chatClear.style.display = "none";
+  });
+
+  // Restore this session's conversation about the issue
+  chrome.runtime.sendMessage({ action: "GET_CHAT", nodeId }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) return;
+    for (const message of response.messages) {
+      appendChatMessage(
+        message.role,
+        message.role === "user"
+          ? `<p>${escapeHtml(message.content)}</p>`
+          : renderMarkdown(message.content)
+      );
+    }
+  });
+
   function showLoading() {
     els.idle.style.display = "none";
+    els.preflight.style.display = "none";
+    els.warning.style.display = "none";
+    els.loadingText.textContent = msg("panelAnalyzing");
     els.loading.style.display = "flex";
     els.content.style.display = "none";
     els.error.style.display = "none";
     els.footer.style.display = "none";
+    els.notice.style.display = "none";
     els.analyze.disabled = true;
     els.reanalyze.disabled = true;
-    els.badge.textContent = "Loading...";
+    els.exportBtn.disabled = true;
+    setExportMenu(false);
+    els.cancel.style.display = "flex";
+    els.badge.textContent = msg("badgeLoading");
     els.badge.className = "dis-badge dis-badge-loading";
   }
 
-  function showSummary(markdown, fromCache) {
+  function showStreaming(summary) {
+    els.loading.style.display = "none";
+    els.content.innerHTML = renderTimeline(pageTimeline()) + renderSummary(summary);
+    els.content.style.display = "block";
+    els.badge.textContent = msg("badgeWriting");
+  }
+
+  function showIdle() {
+    els.idle.style.display = "block";
+    els.loading.style.display = "none";
+    els.content.style.display = "none";
+    els.error.style.display = "none";
+    els.footer.style.display = "none";
+    els.notice.style.display = "none";
+    els.cancel.style.display = "none";
+    els.analyze.style.display = "flex";
+    els.analyze.disabled = false;
+    els.reanalyze.style.display = "none";
+    els.export.style.display = "none";
+    els.historyBtn.style.display = "none";
+    els.history.style.display = "none";
+    els.chips.replaceChildren();
+    els.chat.style.display = "none";
+    els.badge.textContent = "";
+    els.badge.className = "dis-badge";
+  }
+
+  function showSummary(summary, fromCache, meta) {
+    lastSummary = { summary, fromCache, meta };
+    els.cancel.style.display = "none";
     els.idle.style.display = "none";
     els.loading.style.display = "none";
     els.error.style.display = "none";
-    els.content.innerHTML = renderMarkdown(markdown);
+    els.content.innerHTML =
+      renderTimeline(pageTimeline()) +
+      renderSummary(summary, meta && meta.citations) +
+      renderLatestCode(meta && meta.code) +
+      renderRelated(meta && meta.related);
     els.content.style.display = "block";
+    els.footer.textContent = footerText(meta);
     els.footer.style.display = "block";
+    els.chips.innerHTML = renderIssueChips(meta && meta.fields);
+    els.chat.style.display = "block";
     // After first summary, swap Analyze for Re-analyze
     els.analyze.style.display = "none";
     els.reanalyze.style.display = "flex";
     els.reanalyze.disabled = false;
+    els.export.style.display = "inline-flex";
+    els.exportBtn.disabled = false;
+    els.historyBtn.style.display = meta?.versions?.length ? "flex" : "none";
+    els.history.style.display = "none";
     if (fromCache) {
-      els.badge.textContent = "Cached";
+      els.badge.textContent = msg("badgeCached");
       els.badge.className = "dis-badge dis-badge-cached";
     } else {
-      els.badge.textContent = "Fresh";
+      els.badge.textContent = msg("badgeFresh");
       els.badge.className = "dis-badge dis-badge-fresh";
     }
   }
 
+  function footerText(meta) {
+    const parts = [];
+    if (meta && meta.generatedAt) {
+      const date = new Date(meta.generatedAt).toLocaleString();
+      parts.push(msg("footerSummarized", date, meta.commentCount));
+    }
+    if (meta && meta.model) {
+      parts.push(
+        meta.requestedModel
+          ? msg("footerModelFallback", meta.model, meta.requestedModel)
+          : msg("footerModel", meta.model)
+      );
+    }
+    parts.push(msg("extName"));
+    return parts.join(" \u00b7 ");
+  }
+
+  function showStaleness(newComments, statusChanged, status) {
+    const parts = [];
+    if (newComments > 0) {
+      parts.push(msg(newComments === 1 ? "staleNewCommentsOne" : "staleNewCommentsOther", newComments));
+    }
+    if (statusChanged) parts.push(msg("staleStatus", status));
+    if (parts.length === 0) return;
+
+    const text = parts.join("; ");
+    els.noticeText.textContent = text.charAt(0).toUpperCase() + text.slice(1) + ".";
+    els.notice.style.display = "flex";
+    els.badge.textContent = msg("badgeOutdated");
+    els.badge.className = "dis-badge dis-badge-stale";
+  }
+
   function showError(message) {
     els.idle.style.display = "none";
     els.loading.style.display = "none";
@@ -169,81 +1217,250 @@
     els.error.textContent = message;
     els.error.style.display = "block";
     els.footer.style.display = "none";
+    els.notice.style.display = "none";
+    els.cancel.style.display = "none";
     els.analyze.disabled = false;
     els.reanalyze.disabled = false;
-    els.badge.textContent = "Error";
+    els.badge.textContent = msg("badgeError");
     els.badge.className = "dis-badge dis-badge-error";
   }
 
-  // Minimal markdown-to-HTML renderer.
-  // Only handles ## headers, flat - / * bullets, **bold**, and checkboxes.
-  // Security: escapeHtml runs BEFORE bold regex to prevent XSS from AI output.
-  function renderMarkdown(md) {
-    const lines = md.split("\n");
-    let html = "";
-    let inList = false;
+  // Status changes as a row of chips, each linking to the comment that made
+  // it. Long histories keep the most recent steps.
+  const TIMELINE_MAX_STEPS = 10;
 
-    for (let i = 0; i < lines.length; i++) {
-      let line = lines[i];
+  function renderTimeline(timeline) {
+    const steps = [];
+    for (const entry of timeline) {
+      const change = entry.changes.find((c) => c.field.toLowerCase() === "status");
+      if (!change || !change.to) continue;
+      if (steps.length === 0 && change.from) steps.push({ status: change.from });
+      steps.push({ status: change.to, entry });
+    }
+    if (steps.length === 0) return "";
 
-      // ## Headers
-      if (line.startsWith("## ")) {
-        if (inList) { html += "</ul>"; inList = false; }
-        html += `<h2>${escapeHtml(line.slice(3))}</h2>`;
-        continue;
-      }
+    const items = steps.slice(-TIMELINE_MAX_STEPS).map(({ status, entry }) => {
+      const chip = `<span class="dis-tag dis-status-${statusClassFor(status)}">${escapeHtml(status)}</span>`;
+      if (!entry) return `<li>${chip}</li>`;
+      const who = [entry.author, entry.date && new Date(entry.date).toLocaleDateString()]
+        .filter(Boolean)
+        .join(", ");
+      return `<li title="${escapeHtml(who)}">${chip} ${citationLink(entry.number)}</li>`;
+    });
+    const more = steps.length > TIMELINE_MAX_STEPS ? "<li>&hellip;</li>" : "";
+    return `<ol class="dis-timeline" aria-label="${msg("timelineLabel")}">${more}${items.join("")}</ol>`;
+  }
 
-      // List items: - or - [ ] or - [x]
-      const bulletMatch = line.match(/^[-*]\s+(\[[ x]\]\s+)?(.*)/);
-      if (bulletMatch) {
-        if (!inList) { html += "<ul>"; inList = true; }
-        const content = inlineFormat(bulletMatch[2]);
-        const checkbox = bulletMatch[1]
-          ? bulletMatch[1].includes("x")
-            ? "&#9745; "
-            : "&#9744; "
-          : "";
-        html += `<li>${checkbox}${content}</li>`;
-        continue;
+  // Chip colour from a status label, as STATUS_CLASSES in render.js does for
+  // status codes
+  function statusClassFor(label) {
+    const status = label.toLowerCase();
+    if (status.startsWith("closed (fixed)") || status === "fixed") return "done";
+    if (status.startsWith("closed")) return "closed";
+    if (status.startsWith("postponed")) return "postponed";
+    if (/review|rtbc|to be ported/.test(status)) return "review";
+    return "open";
+  }
+
+  // Maps drupal.org comment numbers to their comment IDs on this page. Each
+  // comment has a permalink whose text is its number ("#12" or "Comment #12")
+  // and whose fragment is the anchor ("#comment-15551234").
+  let commentMap = null;
+  function pageComments() {
+    if (!commentMap) {
+      commentMap = new Map();
+      for (const link of document.querySelectorAll('a[href*="#comment-"]')) {
+        const label = link.textContent.trim().match(/^(?:Comment\s*)?#(\d+)$/i);
+        const anchor = link.getAttribute("href").match(/#comment-(\d+)$/);
+        if (label && anchor && !commentMap.has(Number(label[1]))) {
+          commentMap.set(Number(label[1]), anchor[1]);
+        }
       }
+    }
+    return commentMap;
+  }
 
-      // Close list if we're in one and hit a non-list line
-      if (inList) { html += "</ul>"; inList = false; }
+  // Sent with summary requests so the prompt uses the page's numbering:
+  // drupal.org skips numbers of deleted comments, so positions drift.
+  function pageCommentNumbers() {
+    const numbers = {};
+    for (const [number, cid] of pageComments()) numbers[cid] = number;
+    return numbers;
+  }
 
-      // Empty lines
-      if (line.trim() === "") {
-        continue;
-      }
+  // The element of a comment on the page: the anchor ID is either on the
+  // comment itself or on an empty <a> right before it.
+  function commentElement(cid) {
+    const anchor = document.getElementById(`comment-${cid}`);
+    if (!anchor) return null;
+    return (
+      anchor.closest(".comment") ||
+      (anchor.childElementCount === 0 && anchor.nextElementSibling) ||
+      anchor
+    );
+  }
 
-      // Italic line (truncation notice)
-      if (line.startsWith("*[") && line.endsWith("]*")) {
-        html += `<p><em>${escapeHtml(line.slice(1, -1))}</em></p>`;
-        continue;
+  // The comment ID of the comment an element is in
+  function commentIdOf(el) {
+    const comment = el.closest(".comment");
+    if (!comment) return null;
+    const anchor = [comment, comment.previousElementSibling]
+      .map((e) => e && e.id.match(/^comment-(\d+)$/))
+      .find(Boolean);
+    if (anchor) return anchor[1];
+    const link = comment.querySelector('a[href*="#comment-"]');
+    return link ? link.getAttribute("href").match(/#comment-(\d+)$/)?.[1] || null : null;
+  }
+
+  // Issue field changes recorded on comments, in page order. drupal.org shows
+  // them as a table of label / old value / new value cells ("Status: Active
+  // » Needs review"); the API's comment data does not include them.
+  let timelineEntries = null;
+  function pageTimeline() {
+    if (!timelineEntries) {
+      timelineEntries = [];
+      const numbers = pageCommentNumbers();
+      const cell = (row, selector) =>
+        (row.querySelector(selector)?.textContent || "").replace(/\s+/g, " ").trim();
+
+      for (const table of document.querySelectorAll(".nodechanges-field-changes")) {
+        // The class may be on both a wrapper and the table inside it
+        if (table.parentElement.closest(".nodechanges-field-changes")) continue;
+        const cid = commentIdOf(table);
+        if (!cid || !numbers[cid]) continue;
+
+        const changes = [...table.querySelectorAll("tr")]
+          .map((row) => ({
+            field: cell(row, ".nodechanges-label").replace(/:$/, ""),
+            from: cell(row, ".nodechanges-old"),
+            to: cell(row, ".nodechanges-new"),
+          }))
+          .filter((c) => c.field && (c.from || c.to));
+        if (changes.length === 0) continue;
+
+        const comment = commentElement(cid);
+        const author = comment && comment.querySelector(".username");
+        const time = comment && comment.querySelector("time[datetime]");
+        timelineEntries.push({
+          number: numbers[cid],
+          author: author ? author.textContent.trim() : "",
+          date: time ? time.getAttribute("datetime") : "",
+          changes,
+        });
       }
+    }
+    return timelineEntries;
+  }
+
+  // "#12" linking to comment 12, with its author and date as hover text.
+  // Numbers that are not on this page are left as plain text.
+  function citationLink(number, citation) {
+    const cid = pageComments().get(number) || (citation && citation.cid);
+    if (!cid || !document.getElementById(`comment-${cid}`)) return `#${number}`;
 
-      // Regular paragraph
-      html += `<p>${inlineFormat(line)}</p>`;
+    let author = citation && citation.author;
+    let date = citation && citation.created ? new Date(citation.created) : null;
+    if (!author || !date) {
+      const el = commentElement(cid);
+      author = author || el?.querySelector(".username, a[href^='/u/']")?.textContent.trim();
+      const time = el?.querySelector("time[datetime]");
+      date = date || (time ? new Date(time.getAttribute("datetime")) : null);
     }
+    const title = [msg("citationTitle", number), author, date && date.toLocaleDateString()]
+      .filter(Boolean)
+      .join(" \u00b7 ");
+    return `<a class="dis-cite" href="#comment-${escapeHtml(cid)}" data-cid="${escapeHtml(cid)}" title="${escapeHtml(title)}">#${number}</a>`;
+  }
 
-    if (inList) html += "</ul>";
-    return html;
+  // Citations scroll to the comment and highlight it briefly
+  function scrollToCitation(e) {
+    const link = e.target.closest("a.dis-cite");
+    if (!link) return;
+    const el = commentElement(link.dataset.cid);
+    if (!el) return;
+    e.preventDefault();
+    el.scrollIntoView({ behavior: "smooth", block: "center" });
+    el.classList.remove("dis-comment-highlight");
+    void el.offsetWidth; // restart the animation on repeated clicks
+    el.classList.add("dis-comment-highlight");
+    history.replaceState(null, "", `#comment-${link.dataset.cid}`);
   }
+  els.content.addEventListener("click", scrollToCitation);
+  els.creditReport.addEventListener("click", scrollToCitation);
 
-  function inlineFormat(text) {
-    text = escapeHtml(text);
-    // **bold** — safe because escapeHtml already neutralized any HTML in text
-    text = text.replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>");
-    // `code`
-    text = text.replace(/`([^`]+)`/g, "<code>$1</code>");
-    return text;
+  // Allowlist sanitizer for HTML written by the model, which may echo markup
+  // from issue comments. Disallowed elements are dropped but their text is
+  // kept; only link targets and template heading IDs survive as attributes.
+  const ALLOWED_TAGS = new Set([
+    "p", "br", "ul", "ol", "li", "strong", "em", "b", "i", "code", "pre",
+    "blockquote", "h2", "h3", "h4", "h5", "a",
+  ]);
+
+  function sanitizeHtml(html) {
+    const doc = new DOMParser().parseFromString(html, "text/html");
+    function clean(node) {
+      if (node.nodeType === Node.TEXT_NODE) return escapeHtml(node.textContent);
+      if (node.nodeType !== Node.ELEMENT_NODE) return "";
+      const tag = node.tagName.toLowerCase();
+      if (tag === "script" || tag === "style") return "";
+      const children = [...node.childNodes].map(clean).join("");
+      if (!ALLOWED_TAGS.has(tag)) return children;
+      if (tag === "br") return "<br>";
+
+      let attrs = "";
+      const href = node.getAttribute("href");
+      // Site-relative paths only: "//host" and "/\host" are other sites
+      if (tag === "a" && href && /^(https?:\/\/|\/(?![/\\])|#)/i.test(href)) {
+        attrs = ` href="${escapeHtml(href)}"`;
+      }
+      const id = node.getAttribute("id");
+      if (/^h\d$/.test(tag) && id && /^summary-[\w-]+$/.test(id)) attrs = ` id="${id}"`;
+      return `<${tag}${attrs}>${children}</${tag}>`;
+    }
+    return [...doc.body.childNodes].map(clean).join("").trim();
+  }
+
+  // One line per block element, for a readable diff of two HTML documents
+  function htmlLines(html) {
+    return html
+      .replace(/(<\/(?:p|li|ul|ol|h\d|pre|blockquote)>|<br\s*\/?>)/gi, "$1\n")
+      .replace(/(<(?:ul|ol)[^>]*>)/gi, "$1\n")
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+  }
+
+  // Line diff (longest common subsequence) of two arrays of lines
+  function diffLines(before, after) {
+    const n = before.length;
+    const m = after.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Int32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] =
+          before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && before[i] === after[j]) {
+        result.push({ type: "same", text: before[i++] });
+        j++;
+      } else if (j < m && (i === n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+        result.push({ type: "add", text: after[j++] });
+      } else {
+        result.push({ type: "del", text: before[i++] });
+      }
+    }
+    return result;
   }
 
-  function escapeHtml(str) {
-    return str
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;")
-      .replace(/"/g, "&quot;")
-      .replace(/'/g, "&#39;");
+  function renderDiff(before, after) {
+    const marks = { same: " ", add: "+", del: "-" };
+    return diffLines(before, after)
+      .map(({ type, text }) => `<span class="dis-diff-${type}">${marks[type]} ${escapeHtml(text)}</span>`)
+      .join("\n");
   }
 })();
@@ -0,0 +1,227 @@
+(() => {
+  // Guard against double injection
+  if (document.getElementById("dis-listing-bar")) return;
+
+  const msg = (key, ...substitutions) => chrome.i18n.getMessage(key, substitutions.map(String));
+
+  // Issue rows: any table row whose title links to /project/{name}/issues/{nodeId}
+  const ISSUE_LINK = /\/project\/[^/]+\/issues\/(\d+)$/;
+
+  const rows = [];
+  for (const tr of document.querySelectorAll("table tbody tr")) {
+    const link = [...tr.querySelectorAll("a[href]")].find((a) =>
+      ISSUE_LINK.test(new URL(a.href, location.href).pathname)
+    );
+    if (!link) continue;
+    const nodeId = new URL(link.href, location.href).pathname.match(ISSUE_LINK)[1];
+    const replies = tr.querySelector(".views-field-comment-count");
+    const comments = replies ? parseInt(replies.textContent.trim(), 10) : NaN;
+    rows.push({
+      tr,
+      nodeId,
+      link,
+      comments: Number.isInteger(comments) ? comments : null,
+      tldr: null,
+      state: "idle", // idle | queued | done | error
+      error: null,
+      button: null,
+    });
+  }
+  if (rows.length === 0) return;
+
+  const table = rows[0].tr.closest("table");
+
+  // Bulk action bar above the table
+  const bar = document.createElement("div");
+  bar.id = "dis-listing-bar";
+  bar.className = "dis-listing-bar";
+  bar.innerHTML = `
+    <button class="dis-btn dis-btn-analyze" id="dis-bulk" title="${msg("listingBulkTitle")}">
+      <span aria-hidden="true">&#x2728;</span> ${msg("listingBulk")}
+    </button>
+    <span class="dis-listing-status" id="dis-bulk-status" role="status"></span>
+    <button class="dis-btn" id="dis-bulk-start" style="display:none;">${msg("listingStart")}</button>
+    <button class="dis-btn" id="dis-bulk-cancel" style="display:none;">${msg("panelCancel")}</button>
+  `;
+  table.parentNode.insertBefore(bar, table);
+
+  const els = {
+    bulk: document.getElementById("dis-bulk"),
+    status: document.getElementById("dis-bulk-status"),
+    start: document.getElementById("dis-bulk-start"),
+    cancel: document.getElementById("dis-bulk-cancel"),
+  };
+
+  // One tooltip element shared by all rows
+  const tooltip = document.createElement("div");
+  tooltip.className = "dis-tooltip";
+  tooltip.setAttribute("role", "tooltip");
+  tooltip.style.display = "none";
+  document.body.appendChild(tooltip);
+
+  for (const row of rows) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "dis-row-btn";
+    row.button = button;
+    row.link.after(button);
+
+    button.addEventListener("click", (e) => {
+      e.preventDefault();
+      if (row.state === "idle" || row.state === "error") {
+        setRowState(row, "queued");
+        chrome.runtime.sendMessage({
+          action: "QUEUE_SUMMARIES",
+          nodeIds: [row.nodeId],
+          priority: true,
+        });
+      }
+    });
+    button.addEventListener("mouseenter", () => showTooltip(row));
+    button.addEventListener("mouseleave", hideTooltip);
+    button.addEventListener("focus", () => showTooltip(row));
+    button.addEventListener("blur", hideTooltip);
+    row.link.addEventListener("mouseenter", () => {
+      if (row.tldr) showTooltip(row);
+    });
+    row.link.addEventListener("mouseleave", hideTooltip);
+    setRowState(row, "idle");
+  }
+
+  function setRowState(row, state) {
+    row.state = state;
+    const labels = {
+      idle: ["✨", msg("listingRowIdle")],
+      queued: ["…", msg("listingRowQueued")],
+      done: ["TL;DR", msg("listingRowDone")],
+      error: ["!", msg("listingRowError")],
+    };
+    const [text, title] = labels[state];
+    row.button.textContent = text;
+    row.button.setAttribute("aria-label", title);
+    row.button.className = `dis-row-btn dis-row-btn-${state}`;
+  }
+
+  function showTooltip(row) {
+    if (row.state === "done") tooltip.textContent = row.tldr;
+    else if (row.state === "error") tooltip.textContent = row.error;
+    else if (row.state === "queued") tooltip.textContent = msg("listingSummarizing");
+    else tooltip.textContent = msg("listingNotSummarized");
+
+    const rect = row.button.getBoundingClientRect();
+    tooltip.style.left = `${rect.left + window.scrollX}px`;
+    tooltip.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    tooltip.style.display = "block";
+  }
+
+  function hideTooltip() {
+    tooltip.style.display = "none";
+  }
+
+  // Cached TL;DRs appear straight away
+  chrome.runtime.sendMessage(
+    { action: "GET_TLDRS", nodeIds: rows.map((r) => r.nodeId) },
+    (response) => {
+      if (chrome.runtime.lastError || !response || response.error) return;
+      for (const row of rows) {
+        if (response.tldrs[row.nodeId]) {
+          row.tldr = response.tldrs[row.nodeId];
+          setRowState(row, "done");
+        }
+      }
+    }
+  );
+
+  // Results from the background queue
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.action !== "LISTING_SUMMARY") return;
+    for (const row of rows.filter((r) => r.nodeId === message.nodeId)) {
+      if (message.error) {
+        row.error = message.error;
+        setRowState(row, "error");
+      } else {
+        row.tldr = message.tldr;
+        setRowState(row, "done");
+      }
+    }
+    if (bulkRunning) {
+      if (message.remaining > 0) {
+        els.status.textContent = msg("listingRemaining", message.remaining);
+      } else {
+        finishBulk(msg("listingAllDone"));
+      }
+    }
+  });
+
+  // Bulk action: estimate first, start only when confirmed
+  let bulkRunning = false;
+  let pending = [];
+
+  els.bulk.addEventListener("click", () => {
+    pending = rows.filter((r) => r.state === "idle" || r.state === "error");
+    if (pending.length === 0) {
+      els.status.textContent = msg("listingNothingToDo");
+      return;
+    }
+    els.bulk.disabled = true;
+    els.status.textContent = msg("listingEstimating");
+    chrome.runtime.sendMessage(
+      {
+        action: "ESTIMATE_SUMMARIES",
+        issues: pending.map((r) => ({ nodeId: r.nodeId, comments: r.comments })),
+      },
+      (estimate) => {
+        if (chrome.runtime.lastError || !estimate || estimate.error) {
+          els.bulk.disabled = false;
+          els.status.textContent = estimate?.error || msg("listingEstimateFailed");
+          return;
+        }
+        const cost =
+          estimate.cost === null
+            ? msg("costUnknown")
+            : msg("costAbout", `$${estimate.cost.toFixed(estimate.cost < 0.1 ? 3 : 2)}`);
+        els.status.textContent =
+          msg(
+            estimate.count === 1 ? "listingConfirmOne" : "listingConfirmOther",
+            estimate.count,
+            Math.round(estimate.inputTokens / 1000),
+            cost,
+            estimate.model
+          ) + (estimate.budgetWarning ? ` ${estimate.budgetWarning}` : "");
+        els.start.style.display = "";
+        els.cancel.style.display = "";
+      }
+    );
+  });
+
+  els.start.addEventListener("click", () => {
+    bulkRunning = true;
+    els.start.style.display = "none";
+    els.status.textContent = msg("listingRemaining", pending.length);
+    for (const row of pending) setRowState(row, "queued");
+    chrome.runtime.sendMessage({
+      action: "QUEUE_SUMMARIES",
+      nodeIds: pending.map((r) => r.nodeId),
+    });
+  });
+
+  els.cancel.addEventListener("click", () => {
+    if (bulkRunning) {
+      chrome.runtime.sendMessage({ action: "CANCEL_QUEUE" });
+      // The summary in progress still finishes; the rest go back to idle
+      for (const row of rows.filter((r) => r.state === "queued")) setRowState(row, "idle");
+      finishBulk(msg("listingStopped"));
+    } else {
+      finishBulk("");
+    }
+  });
+
+  function finishBulk(text) {
+    bulkRunning = false;
+    pending = [];
+    els.status.textContent = text;
+    els.bulk.disabled = false;
+    els.start.style.display = "none";
+    els.cancel.style.display = "none";
+  }
+})();
@@ -1,60 +1,366 @@
+const providerSelect = document.getElementById("provider");
+const providerSections = document.querySelectorAll(".provider-section");
 const apiKeyInput = document.getElementById("apiKey");
-const toggleKeyBtn = document.getElementById("toggleKey");
 const modelSelect = document.getElementById("model");
+const openaiBaseUrlInput = document.getElementById("openaiBaseUrl");
+const openaiApiKeyInput = document.getElementById("openaiApiKey");
+const openaiModelInput = document.getElementById("openaiModel");
+const openaiFallbackInput = document.getElementById("openaiFallbackModels");
+const modelFallbackCheckbox = document.getElementById("modelFallback");
+const ollamaBaseUrlInput = document.getElementById("ollamaBaseUrl");
+const ollamaModelInput = document.getElementById("ollamaModel");
+const maxPagesInput = document.getElementById("maxCommentPages");
+const chunkCheckbox = document.getElementById("chunkLargeIssues");
+const diffstatCheckbox = document.getElementById("includeDiffstat");
+const watchIntervalInput = document.getElementById("watchIntervalMinutes");
+const watchAutoSummarizeCheckbox = document.getElementById("watchAutoSummarize");
+const watchStatsEl = document.getElementById("watchStats");
+const watchListEl = document.getElementById("watchList");
+const dailyBudgetInput = document.getElementById("dailyBudget");
+const monthlyBudgetInput = document.getElementById("monthlyBudget");
+const budgetModeSelect = document.getElementById("budgetMode");
+const outputLanguageSelect = document.getElementById("outputLanguage");
+const redactDetectorInputs = document.querySelectorAll("#redactDetectors input");
+const redactRulesInput = document.getElementById("redactRules");
+const usageStatsEl = document.getElementById("usageStats");
+const usageDaysEl = document.getElementById("usageDays");
+const usageMonthsEl = document.getElementById("usageMonths");
+const usageModelsEl = document.getElementById("usageModels");
+const maxAgeInput = document.getElementById("cacheMaxAgeDays");
+const maxSizeInput = document.getElementById("cacheMaxSizeMB");
+const cacheSearchInput = document.getElementById("cacheSearch");
+const cacheStatsEl = document.getElementById("cacheStats");
+const cacheListEl = document.getElementById("cacheList");
 const saveBtn = document.getElementById("save");
 const clearCacheBtn = document.getElementById("clearCache");
 const statusEl = document.getElementById("status");
 let statusTimeout;
 
-// Load saved settings (API key from local, model from sync)
-chrome.storage.local.get("apiKey", (localData) => {
+const msg = (key, ...substitutions) => chrome.i18n.getMessage(key, substitutions.map(String));
+
+// Static text is marked with data-i18n (textContent), data-i18n-html (hints
+// with links or code) and data-i18n-<attribute>; the English in the markup is
+// only a fallback for reading the HTML.
+function localizePage() {
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  for (const el of document.querySelectorAll("[data-i18n]")) {
+    el.textContent = msg(el.dataset.i18n);
+  }
+  for (const el of document.querySelectorAll("[data-i18n-html]")) {
+    el.innerHTML = msg(el.dataset.i18nHtml);
+  }
+  for (const attr of ["placeholder", "title", "aria-label"]) {
+    for (const el of document.querySelectorAll(`[data-i18n-${attr}]`)) {
+      el.setAttribute(attr, msg(el.getAttribute(`data-i18n-${attr}`)));
+    }
+  }
+}
+
+localizePage();
+
+// Keep in sync with PROVIDERS in background.js
+const DEFAULT_BASE_URLS = {
+  openai: "https://api.openai.com/v1",
+  ollama: "http://localhost:11434",
+};
+
+// Load saved settings (API keys from local, everything else from sync)
+chrome.storage.local.get(["apiKey", "openaiApiKey"], (localData) => {
   if (chrome.runtime.lastError) return;
   if (localData.apiKey) apiKeyInput.value = localData.apiKey;
+  if (localData.openaiApiKey) openaiApiKeyInput.value = localData.openaiApiKey;
 });
-chrome.storage.sync.get("model", (syncData) => {
-  if (chrome.runtime.lastError) return;
-  if (syncData.model) modelSelect.value = syncData.model;
-});
+chrome.storage.sync.get(
+  [
+    "provider",
+    "model",
+    "openaiBaseUrl",
+    "openaiModel",
+    "openaiFallbackModels",
+    "modelFallback",
+    "ollamaBaseUrl",
+    "ollamaModel",
+    "maxCommentPages",
+    "chunkLargeIssues",
+    "includeDiffstat",
+    "watchIntervalMinutes",
+    "watchAutoSummarize",
+    "dailyBudget",
+    "monthlyBudget",
+    "budgetMode",
+    "outputLanguage",
+    "redactDetectors",
+    "redactRules",
+    "cacheMaxAgeDays",
+    "cacheMaxSizeMB",
+  ],
+  (syncData) => {
+    if (chrome.runtime.lastError) return;
+    if (syncData.provider) providerSelect.value = syncData.provider;
+    if (syncData.model) modelSelect.value = syncData.model;
+    openaiBaseUrlInput.value = syncData.openaiBaseUrl || DEFAULT_BASE_URLS.openai;
+    if (syncData.openaiModel) openaiModelInput.value = syncData.openaiModel;
+    openaiFallbackInput.value = (syncData.openaiFallbackModels || []).join(", ");
+    modelFallbackCheckbox.checked = syncData.modelFallback === true;
+    ollamaBaseUrlInput.value = syncData.ollamaBaseUrl || DEFAULT_BASE_URLS.ollama;
+    if (syncData.ollamaModel) ollamaModelInput.value = syncData.ollamaModel;
+    if (syncData.maxCommentPages) maxPagesInput.value = syncData.maxCommentPages;
+    chunkCheckbox.checked = syncData.chunkLargeIssues !== false;
+    diffstatCheckbox.checked = syncData.includeDiffstat !== false;
+    if (syncData.watchIntervalMinutes) watchIntervalInput.value = syncData.watchIntervalMinutes;
+    watchAutoSummarizeCheckbox.checked = syncData.watchAutoSummarize === true;
+    if (syncData.dailyBudget !== undefined) dailyBudgetInput.value = syncData.dailyBudget;
+    if (syncData.monthlyBudget !== undefined) monthlyBudgetInput.value = syncData.monthlyBudget;
+    if (syncData.budgetMode) budgetModeSelect.value = syncData.budgetMode;
+    if (syncData.outputLanguage) outputLanguageSelect.value = syncData.outputLanguage;
+    if (Array.isArray(syncData.redactDetectors)) {
+      for (const input of redactDetectorInputs) {
+        input.checked = syncData.redactDetectors.includes(input.value);
+      }
+    }
+    redactRulesInput.value = (syncData.redactRules || []).join("\n");
+    if (syncData.cacheMaxAgeDays !== undefined) maxAgeInput.value = syncData.cacheMaxAgeDays;
+    if (syncData.cacheMaxSizeMB !== undefined) maxSizeInput.value = syncData.cacheMaxSizeMB;
+    showProviderSection();
+  }
+);
+
+// Only the selected provider's fields are shown
+function showProviderSection() {
+  for (const section of providerSections) {
+    section.hidden = section.dataset.provider !== providerSelect.value;
+  }
+}
+providerSelect.addEventListener("change", showProviderSection);
 
 // Toggle API key visibility
-toggleKeyBtn.addEventListener("click", () => {
-  const isPassword = apiKeyInput.type === "password";
-  apiKeyInput.type = isPassword ? "text" : "password";
-  toggleKeyBtn.textContent = isPassword ? "Hide" : "Show";
-  toggleKeyBtn.setAttribute(
-    "aria-label",
-    isPassword ? "Hide API key" : "Show API key"
-  );
-});
+for (const toggleBtn of document.querySelectorAll("[data-toggle]")) {
+  const input = document.getElementById(toggleBtn.dataset.toggle);
+  toggleBtn.addEventListener("click", () => {
+    const isPassword = input.type === "password";
+    input.type = isPassword ? "text" : "password";
+    toggleBtn.textContent = msg(isPassword ? "optHide" : "optShow");
+    toggleBtn.setAttribute("aria-label", msg(isPassword ? "optHideKeyLabel" : "optShowKeyLabel"));
+  });
+}
+
+// Load the model list from the configured endpoint into the datalist
+for (const loadBtn of document.querySelectorAll("[data-load-models]")) {
+  loadBtn.addEventListener("click", () => {
+    const provider = loadBtn.dataset.loadModels;
+    const baseUrl = parseBaseUrl(
+      provider === "openai" ? openaiBaseUrlInput.value : ollamaBaseUrlInput.value
+    );
+    if (!baseUrl) {
+      showStatus(msg("statusUrlFirst"), "error");
+      return;
+    }
+    // Must run inside the click gesture for Chrome to show the prompt
+    chrome.permissions.request({ origins: [`${baseUrl.origin}/*`] }, (granted) => {
+      if (!granted) {
+        showStatus(msg("statusAccessNotGranted", baseUrl.origin), "error");
+        return;
+      }
+      fetchModelList(provider, baseUrl)
+        .then((models) => {
+          const datalist = document.getElementById(`${provider}Models`);
+          datalist.replaceChildren(
+            ...models.map((id) => Object.assign(document.createElement("option"), { value: id }))
+          );
+          showStatus(
+            msg(models.length === 1 ? "statusModelsFoundOne" : "statusModelsFoundOther", models.length),
+            "success"
+          );
+        })
+        .catch((err) => showStatus(err.message, "error"));
+    });
+  });
+}
+
+async function fetchModelList(provider, baseUrl) {
+  const base = baseUrl.href.replace(/\/+$/, "");
+  let resp;
+  try {
+    if (provider === "openai") {
+      const key = openaiApiKeyInput.value.trim();
+      resp = await fetch(`${base}/models`, {
+        headers: key ? { Authorization: `Bearer ${key}` } : {},
+      });
+    } else {
+      resp = await fetch(`${base}/api/tags`);
+    }
+  } catch {
+    throw new Error(msg("statusUnreachable", baseUrl.origin));
+  }
+  if (!resp.ok) throw new Error(msg("statusModelsFailed", resp.status));
+  const data = await resp.json().catch(() => ({}));
+  const models =
+    provider === "openai"
+      ? (data.data || []).map((m) => m.id)
+      : (data.models || []).map((m) => m.name);
+  return models.filter(Boolean).sort();
+}
+
+function parseBaseUrl(value) {
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === "https:" || url.protocol === "http:" ? url : null;
+  } catch {
+    return null;
+  }
+}
 
 // Save settings
 saveBtn.addEventListener("click", () => {
+  const provider = providerSelect.value;
   const apiKey = apiKeyInput.value.trim();
   const model = modelSelect.value;
+  const openaiApiKey = openaiApiKeyInput.value.trim();
+  const openaiModel = openaiModelInput.value.trim();
+  const ollamaModel = ollamaModelInput.value.trim();
+  const openaiFallbackModels = openaiFallbackInput.value
+    .split(",")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  const modelFallback = modelFallbackCheckbox.checked;
+  const maxCommentPages = Number(maxPagesInput.value);
+  const chunkLargeIssues = chunkCheckbox.checked;
+  const includeDiffstat = diffstatCheckbox.checked;
+  const watchIntervalMinutes = Number(watchIntervalInput.value);
+  const watchAutoSummarize = watchAutoSummarizeCheckbox.checked;
+  const dailyBudget = Number(dailyBudgetInput.value);
+  const monthlyBudget = Number(monthlyBudgetInput.value);
+  const budgetMode = budgetModeSelect.value;
+  const outputLanguage = outputLanguageSelect.value;
+  const redactDetectors = [...redactDetectorInputs].filter((i) => i.checked).map((i) => i.value);
+  const redactRules = redactRulesInput.value
+    .split("\n")
+    .map((rule) => rule.trim())
+    .filter(Boolean);
+  const cacheMaxAgeDays = Number(maxAgeInput.value);
+  const cacheMaxSizeMB = Number(maxSizeInput.value);
+
+  let baseUrl = null;
+  if (provider === "anthropic") {
+    if (!apiKey) {
+      showStatus(msg("statusApiKeyMissing"), "error");
+      return;
+    }
 
-  if (!apiKey) {
-    showStatus("Please enter an API key.", "error");
+    if (!apiKey.startsWith("sk-ant-")) {
+      showStatus(msg("statusApiKeyInvalid"), "error");
+      return;
+    }
+  } else {
+    baseUrl = parseBaseUrl(
+      provider === "openai" ? openaiBaseUrlInput.value : ollamaBaseUrlInput.value
+    );
+    if (!baseUrl) {
+      showStatus(msg("statusBaseUrlInvalid"), "error");
+      return;
+    }
+    if (!(provider === "openai" ? openaiModel : ollamaModel)) {
+      showStatus(msg("statusModelMissing"), "error");
+      return;
+    }
+  }
+
+  if (!Number.isInteger(maxCommentPages) || maxCommentPages < 1 || maxCommentPages > 100) {
+    showStatus(msg("statusMaxPagesInvalid"), "error");
     return;
   }
 
-  if (!apiKey.startsWith("sk-ant-")) {
-    showStatus("API key should start with 'sk-ant-'. Check your key.", "error");
+  if (!Number.isInteger(watchIntervalMinutes) || watchIntervalMinutes < 1 || watchIntervalMinutes > 1440) {
+    showStatus(msg("statusWatchIntervalInvalid"), "error");
     return;
   }
 
-  // API key in local storage (security), model preference in sync
-  chrome.storage.local.set({ apiKey }, () => {
-    if (chrome.runtime.lastError) {
-      showStatus("Failed to save API key.", "error");
+  if (!(dailyBudget >= 0) || !(monthlyBudget >= 0)) {
+    showStatus(msg("statusBudgetInvalid"), "error");
+    return;
+  }
+
+  // Same flags as background.js; a rule that matches empty text would
+  // redact nothing but insert placeholders everywhere
+  for (const rule of redactRules) {
+    let pattern;
+    try {
+      pattern = new RegExp(rule, "gi");
+    } catch {
+      showStatus(msg("statusRedactRuleInvalid", rule), "error");
       return;
     }
-    chrome.storage.sync.set({ model }, () => {
+    if (pattern.test("")) {
+      showStatus(msg("statusRedactRuleEmpty", rule), "error");
+      return;
+    }
+  }
+
+  if (!Number.isInteger(cacheMaxAgeDays) || cacheMaxAgeDays < 0) {
+    showStatus(msg("statusCacheAgeInvalid"), "error");
+    return;
+  }
+
+  // chrome.storage.local is capped at 10 MB, shared with settings
+  if (!(cacheMaxSizeMB >= 0 && cacheMaxSizeMB <= 9)) {
+    showStatus(msg("statusCacheSizeInvalid"), "error");
+    return;
+  }
+
+  const prefs = {
+    provider,
+    model,
+    openaiModel,
+    openaiFallbackModels,
+    modelFallback,
+    ollamaModel,
+    maxCommentPages,
+    chunkLargeIssues,
+    includeDiffstat,
+    watchIntervalMinutes,
+    watchAutoSummarize,
+    dailyBudget,
+    monthlyBudget,
+    budgetMode,
+    outputLanguage,
+    redactDetectors,
+    redactRules,
+    cacheMaxAgeDays,
+    cacheMaxSizeMB,
+  };
+  if (provider === "openai") prefs.openaiBaseUrl = baseUrl.href.replace(/\/+$/, "");
+  if (provider === "ollama") prefs.ollamaBaseUrl = baseUrl.href.replace(/\/+$/, "");
+
+  function save() {
+    // API keys in local storage (security), preferences in sync
+    chrome.storage.local.set({ apiKey, openaiApiKey }, () => {
       if (chrome.runtime.lastError) {
-        showStatus("Failed to save model preference.", "error");
+        showStatus(msg("statusSaveKeyFailed"), "error");
         return;
       }
-      showStatus("Settings saved.", "success");
+      chrome.storage.sync.set(prefs, () => {
+        if (chrome.runtime.lastError) {
+          showStatus(msg("statusSavePrefsFailed"), "error");
+          return;
+        }
+        showStatus(msg("statusSaved"), "success");
+      });
     });
+  }
+
+  if (!baseUrl) {
+    save();
+    return;
+  }
+
+  // Custom endpoints are optional host permissions, granted here. The request
+  // must happen inside the click gesture, before any other async work.
+  chrome.permissions.request({ origins: [`${baseUrl.origin}/*`] }, (granted) => {
+    if (!granted) {
+      showStatus(msg("statusAccessNeeded", baseUrl.origin), "error");
+      return;
+    }
+    save();
   });
 });
 
@@ -63,24 +369,501 @@ clearCacheBtn.addEventListener("click", () => {
   // Uses get(null) because chrome.storage has no "list keys" API
   chrome.storage.local.get(null, (items) => {
     if (chrome.runtime.lastError) {
-      showStatus("Failed to read storage.", "error");
+      showStatus(msg("statusReadStorageFailed"), "error");
       return;
     }
     const keys = Object.keys(items).filter((k) => k.startsWith("summary_"));
     if (keys.length === 0) {
-      showStatus("No cached summaries to clear.", "success");
+      showStatus(msg("statusNothingToClear"), "success");
       return;
     }
     chrome.storage.local.remove(keys, () => {
       if (chrome.runtime.lastError) {
-        showStatus("Failed to clear cache.", "error");
+        showStatus(msg("statusClearFailed"), "error");
         return;
       }
-      showStatus(`Cleared ${keys.length} cached summary(ies).`, "success");
+      showStatus(msg(keys.length === 1 ? "statusClearedOne" : "statusClearedOther", keys.length), "success");
+      loadCacheList();
     });
   });
 });
 
+// Prompt profiles (stored and validated by the background worker)
+const profileSelect = document.getElementById("profileSelect");
+const profileNameInput = document.getElementById("profileName");
+const profilePromptInput = document.getElementById("profilePrompt");
+const profileSectionInputs = document.querySelectorAll("#profileSections input");
+const profileMaxTokensInput = document.getElementById("profileMaxTokens");
+const profileDeleteBtn = document.getElementById("profileDelete");
+const profileImportFile = document.getElementById("profileImportFile");
+let profiles = [];
+let activeProfileId = "standard";
+
+function loadProfiles(selectId) {
+  chrome.runtime.sendMessage({ action: "GET_PROFILES" }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus(msg("statusProfilesLoadFailed"), "error");
+      return;
+    }
+    profiles = response.profiles;
+    activeProfileId = response.activeProfile;
+    profileSelect.replaceChildren(
+      ...profiles.map((p) => {
+        const option = document.createElement("option");
+        option.value = p.id;
+        option.textContent =
+          (p.id === activeProfileId ? msg("profilesActive", p.name) : p.name) + (p.modified ? " *" : "");
+        return option;
+      })
+    );
+    profileSelect.value = selectId && profiles.some((p) => p.id === selectId)
+      ? selectId
+      : activeProfileId;
+    fillProfileForm();
+  });
+}
+
+function currentProfile() {
+  return profiles.find((p) => p.id === profileSelect.value) || null;
+}
+
+function fillProfileForm() {
+  const profile = currentProfile();
+  profileNameInput.value = profile ? profile.name : "";
+  profilePromptInput.value = profile ? profile.systemPrompt : "";
+  profileMaxTokensInput.value = profile ? profile.maxTokens : 2048;
+  for (const input of profileSectionInputs) {
+    input.checked = profile ? profile.sections.includes(input.value) : true;
+  }
+  // Built-in profiles can only be reset, and only once they were edited
+  profileDeleteBtn.textContent = msg(profile && profile.builtin ? "profilesReset" : "profilesDelete");
+  profileDeleteBtn.disabled = !!profile && profile.builtin && !profile.modified;
+}
+
+profileSelect.addEventListener("change", fillProfileForm);
+
+document.getElementById("profileNew").addEventListener("click", () => {
+  const option = document.createElement("option");
+  option.value = "";
+  option.textContent = msg("profilesNewName");
+  profileSelect.append(option);
+  profileSelect.value = "";
+  fillProfileForm();
+  profileNameInput.focus();
+});
+
+document.getElementById("profileSave").addEventListener("click", () => {
+  const profile = {
+    // A new profile gets its id from its name in the background worker
+    id: profileSelect.value || undefined,
+    name: profileNameInput.value,
+    systemPrompt: profilePromptInput.value,
+    sections: [...profileSectionInputs].filter((i) => i.checked).map((i) => i.value),
+    maxTokens: Number(profileMaxTokensInput.value),
+  };
+  chrome.runtime.sendMessage({ action: "SAVE_PROFILE", profile }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      showStatus(msg("statusProfileSaveFailed"), "error");
+      return;
+    }
+    if (response.error) {
+      showStatus(response.error, "error");
+      return;
+    }
+    showStatus(msg("statusProfileSaved"), "success");
+    loadProfiles(response.profile.id);
+  });
+});
+
+document.getElementById("profileActivate").addEventListener("click", () => {
+  const profile = currentProfile();
+  if (!profile) {
+    showStatus(msg("statusProfileSaveFirst"), "error");
+    return;
+  }
+  chrome.storage.sync.set({ activeProfile: profile.id }, () => {
+    if (chrome.runtime.lastError) {
+      showStatus(msg("statusProfileActivateFailed"), "error");
+      return;
+    }
+    showStatus(msg("statusProfileActivated", profile.name), "success");
+    loadProfiles(profile.id);
+  });
+});
+
+profileDeleteBtn.addEventListener("click", () => {
+  const profile = currentProfile();
+  if (!profile) {
+    loadProfiles(); // discard an unsaved new profile
+    return;
+  }
+  chrome.runtime.sendMessage({ action: "DELETE_PROFILE", profileId: profile.id }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus(msg("statusProfileDeleteFailed"), "error");
+      return;
+    }
+    showStatus(msg(profile.builtin ? "statusProfileReset" : "statusProfileDeleted"), "success");
+    loadProfiles(profile.builtin ? profile.id : undefined);
+  });
+});
+
+document.getElementById("profileExport").addEventListener("click", () => {
+  const data = {
+    profiles: profiles.map(({ id, name, systemPrompt, sections, maxTokens }) => ({
+      id,
+      name,
+      systemPrompt,
+      sections,
+      maxTokens,
+    })),
+  };
+  downloadFile(
+    "drupal-issue-summarizer-profiles.json",
+    JSON.stringify(data, null, 2),
+    "application/json"
+  );
+});
+
+document.getElementById("profileImport").addEventListener("click", () => {
+  profileImportFile.click();
+});
+
+profileImportFile.addEventListener("change", () => {
+  const file = profileImportFile.files[0];
+  profileImportFile.value = "";
+  if (!file) return;
+  file.text().then((text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      showStatus(msg("statusImportInvalid"), "error");
+      return;
+    }
+    const imported = Array.isArray(data) ? data : data.profiles;
+    chrome.runtime.sendMessage({ action: "IMPORT_PROFILES", profiles: imported }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showStatus(msg("statusImportFailed"), "error");
+        return;
+      }
+      if (response.error) {
+        showStatus(response.error, "error");
+        return;
+      }
+      showStatus(
+        msg(response.count === 1 ? "statusImportedOne" : "statusImportedOther", response.count),
+        "success"
+      );
+      loadProfiles();
+    });
+  });
+});
+
+// Every cached summary as one archive file
+function exportCache(format) {
+  chrome.runtime.sendMessage({ action: "EXPORT_ALL_SUMMARIES", format }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus(response?.error || msg("statusExportFailed"), "error");
+      return;
+    }
+    if (response.count === 0) {
+      showStatus(msg("statusExportEmpty"), "success");
+      return;
+    }
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `drupal-issue-summaries-${date}.${format === "json" ? "json" : "md"}`,
+      response.text,
+      format === "json" ? "application/json" : "text/markdown"
+    );
+    showStatus(msg(response.count === 1 ? "statusExportedOne" : "statusExportedOther", response.count), "success");
+  });
+}
+
+document.getElementById("cacheExportJson").addEventListener("click", () => exportCache("json"));
+document.getElementById("cacheExportMarkdown").addEventListener("click", () => exportCache("markdown"));
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+loadProfiles();
+
+// Cache browser
+let cacheEntries = [];
+
+function loadCacheList() {
+  chrome.storage.local.get(null, (items) => {
+    if (chrome.runtime.lastError) return;
+    cacheEntries = Object.entries(items)
+      .filter(([key]) => key.startsWith("summary_"))
+      .map(([key, entry]) => {
+        // Legacy entries are bare summary strings with no metadata
+        const meta = typeof entry === "string" ? {} : entry;
+        return {
+          key,
+          nodeId: meta.nodeId || key.slice("summary_".length),
+          title: meta.title || "",
+          model: meta.model || "",
+          profileId: meta.profileId || "standard",
+          language: meta.language || "en",
+          generatedAt: meta.generatedAt || 0,
+          lastViewedAt: meta.lastViewedAt || 0,
+          bytes: meta.bytes || new Blob([JSON.stringify(entry)]).size,
+        };
+      })
+      .sort((a, b) => b.lastViewedAt - a.lastViewedAt);
+    renderCacheList();
+  });
+}
+
+function renderCacheList() {
+  const query = cacheSearchInput.value.trim().toLowerCase();
+  const visible = cacheEntries.filter(
+    (e) =>
+      !query ||
+      e.title.toLowerCase().includes(query) ||
+      e.nodeId.includes(query.replace(/^#/, ""))
+  );
+
+  const totalBytes = cacheEntries.reduce((sum, e) => sum + e.bytes, 0);
+  cacheStatsEl.textContent = cacheEntries.length
+    ? msg("cacheStats", cacheEntries.length, formatBytes(totalBytes)) +
+      (query ? ` · ${msg("cacheShown", visible.length)}` : "")
+    : msg("cacheEmpty");
+
+  cacheListEl.replaceChildren(...visible.map(renderCacheItem));
+}
+
+function renderCacheItem(e) {
+  const li = document.createElement("li");
+  li.className = "cache-item";
+
+  const text = document.createElement("div");
+  text.className = "cache-item-text";
+
+  const link = document.createElement("a");
+  link.href = `https://www.drupal.org/node/${e.nodeId}`;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = e.title ? `#${e.nodeId} ${e.title}` : `#${e.nodeId}`;
+  link.title = link.textContent;
+
+  const meta = document.createElement("div");
+  meta.className = "cache-item-meta";
+  const parts = [];
+  if (e.generatedAt) parts.push(new Date(e.generatedAt).toLocaleDateString());
+  if (e.model) parts.push(modelLabel(e.model));
+  if (e.profileId !== "standard") {
+    parts.push(profiles.find((p) => p.id === e.profileId)?.name || e.profileId);
+  }
+  if (e.language !== "en") parts.push(e.language);
+  parts.push(formatBytes(e.bytes));
+  meta.textContent = parts.join(" · ");
+
+  text.append(link, meta);
+
+  const del = document.createElement("button");
+  del.className = "delete-btn";
+  del.textContent = "\u00d7";
+  del.title = msg("cacheDeleteTitle");
+  del.setAttribute("aria-label", msg("cacheDeleteLabel", e.nodeId));
+  del.addEventListener("click", () => {
+    chrome.storage.local.remove(e.key, () => {
+      if (chrome.runtime.lastError) {
+        showStatus(msg("statusCacheDeleteFailed"), "error");
+        return;
+      }
+      cacheEntries = cacheEntries.filter((other) => other.key !== e.key);
+      renderCacheList();
+    });
+  });
+
+  li.append(text, del);
+  return li;
+}
+
+function modelLabel(model) {
+  const option = [...modelSelect.options].find((o) => o.value === model);
+  return option ? option.textContent.replace(/\s*\(.*\)$/, "") : model;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+}
+
+cacheSearchInput.addEventListener("input", renderCacheList);
+
+// Reflect evictions made by the background worker (e.g. after new limits)
+// and watchlist polls
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && Object.keys(changes).some((k) => k.startsWith("summary_"))) {
+    loadCacheList();
+  }
+  if (area === "local" && changes.watchlist) loadWatchList();
+  if (area === "local" && changes.usageDaily) loadUsage();
+});
+
+loadCacheList();
+
+// Watched issues, newest activity first
+function loadWatchList() {
+  chrome.runtime.sendMessage({ action: "GET_WATCHLIST" }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) return;
+    const watches = response.watches.sort(
+      (a, b) => Number(hasActivity(b.activity)) - Number(hasActivity(a.activity)) || b.addedAt - a.addedAt
+    );
+    const unread = watches.filter((w) => hasActivity(w.activity)).length;
+    watchStatsEl.textContent = watches.length
+      ? msg("watchStats", watches.length) + (unread ? ` · ${msg("watchUnread", unread)}` : "")
+      : msg("watchEmpty");
+    watchListEl.replaceChildren(...watches.map(renderWatchItem));
+  });
+}
+
+function hasActivity(activity) {
+  return activity.newComments > 0 || !!activity.status || !!activity.priority;
+}
+
+function renderWatchItem(w) {
+  const li = document.createElement("li");
+  li.className = "cache-item";
+
+  const text = document.createElement("div");
+  text.className = "cache-item-text";
+
+  const link = document.createElement("a");
+  link.href = `https://www.drupal.org/node/${w.nodeId}`;
+  link.target = "_blank";
+  link.rel = "noopener";
+  link.textContent = `#${w.nodeId} ${w.title}`;
+  link.title = link.textContent;
+
+  const meta = document.createElement("div");
+  meta.className = "cache-item-meta";
+  meta.append(w.statusLabel);
+  const activity = [];
+  if (w.activity.newComments > 0) {
+    activity.push(
+      msg(w.activity.newComments === 1 ? "watchNewCommentsOne" : "watchNewCommentsOther", w.activity.newComments)
+    );
+  }
+  if (w.activity.status) activity.push(msg("watchStatusWas", w.activity.status.from));
+  if (w.activity.priority) activity.push(msg("watchPriorityNow", w.activity.priority.to));
+  if (activity.length) {
+    const unread = document.createElement("span");
+    unread.className = "unread";
+    unread.textContent = activity.join(", ");
+    meta.append(" · ", unread);
+  }
+
+  text.append(link, meta);
+
+  const del = document.createElement("button");
+  del.className = "delete-btn";
+  del.textContent = "\u00d7";
+  del.title = msg("watchRemoveTitle");
+  del.setAttribute("aria-label", msg("watchRemoveLabel", w.nodeId));
+  del.addEventListener("click", () => {
+    chrome.runtime.sendMessage({ action: "UNWATCH_ISSUE", nodeId: w.nodeId }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        showStatus(msg("statusWatchRemoveFailed"), "error");
+      }
+    });
+  });
+
+  li.append(text, del);
+  return li;
+}
+
+loadWatchList();
+
+// Token usage and estimated spend, from the background's usage records
+function loadUsage() {
+  chrome.runtime.sendMessage({ action: "GET_USAGE" }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) return;
+    const { days, months, models, budget, spend } = response;
+    if (!days.length) {
+      usageStatsEl.textContent = msg("usageEmpty");
+      usageDaysEl.replaceChildren();
+      usageMonthsEl.replaceChildren();
+      usageModelsEl.replaceChildren();
+      return;
+    }
+
+    const allTime = months.reduce((sum, m) => sum + m.cost, 0);
+    const limit = (amount, cap) =>
+      cap ? msg("usageOfBudget", formatCost(amount), formatCost(cap)) : formatCost(amount);
+    usageStatsEl.textContent = msg(
+      "usageStats",
+      limit(spend.day, budget.daily),
+      limit(spend.month, budget.monthly),
+      formatCost(allTime)
+    );
+
+    renderUsageTable(usageDaysEl, msg("usageDays"), days.map((d) => [d.date, d]));
+    renderUsageTable(usageMonthsEl, msg("usageMonths"), months.map((m) => [m.month, m]));
+    renderUsageTable(usageModelsEl, msg("usageModels"), models.map((m) => [modelLabel(m.model), m]));
+  });
+}
+
+function renderUsageTable(table, caption, rows) {
+  const captionEl = document.createElement("caption");
+  captionEl.textContent = caption;
+  const head = document.createElement("tr");
+  for (const label of ["", msg("usageCalls"), msg("usageIn"), msg("usageOut"), msg("usageCost")]) {
+    const th = document.createElement("th");
+    th.textContent = label;
+    head.append(th);
+  }
+  const body = rows.map(([label, totals]) => {
+    const tr = document.createElement("tr");
+    const cost = formatCost(totals.cost) + (totals.unpriced ? "+" : "");
+    for (const value of [
+      label,
+      totals.calls,
+      formatTokens(totals.inputTokens),
+      formatTokens(totals.outputTokens),
+      cost,
+    ]) {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.append(td);
+    }
+    if (totals.unpriced) tr.title = msg("usageUnpriced", totals.unpriced);
+    return tr;
+  });
+  table.replaceChildren(captionEl, head, ...body);
+}
+
+function formatCost(amount) {
+  return `$${amount.toFixed(amount > 0 && amount < 0.1 ? 3 : 2)}`;
+}
+
+function formatTokens(count) {
+  return count < 1000 ? String(count) : `${(count / 1000).toFixed(count < 10000 ? 1 : 0)}k`;
+}
+
+document.getElementById("resetUsage").addEventListener("click", () => {
+  if (!confirm(msg("usageResetConfirm"))) return;
+  chrome.runtime.sendMessage({ action: "RESET_USAGE" }, (response) => {
+    if (chrome.runtime.lastError || !response || response.error) {
+      showStatus(msg("statusUsageResetFailed"), "error");
+      return;
+    }
+    loadUsage();
+  });
+});
+
+loadUsage();
+
 function showStatus(message, type) {
   clearTimeout(statusTimeout);
   statusEl.textContent = message;
@@ -0,0 +1,400 @@
+/**
+ * Summary rendering shared by the panel on issue pages (content.js) and the
+ * side panel (sidepanel.js). Loaded as a plain script before either of them.
+ */
+
+// cite(number, citation) returns the HTML for a link to comment #number, or
+// null when it cannot be linked: the issue page panel links to comments on the
+// page, the side panel to the comment on drupal.org.
+function createRenderer({ cite }) {
+  const msg = (key, ...substitutions) => chrome.i18n.getMessage(key, substitutions.map(String));
+
+  const citation = (number, data) => cite(number, data) || `#${number}`;
+
+  // Renders a structured summary object. Also used for the partial objects
+  // that arrive while streaming, so every field may be missing or incomplete.
+  // Summaries cached before structured output existed are markdown strings.
+  // Field values may contain inline markdown, rendered by inlineFormat.
+  // citations: { [number]: { cid, author, created } } from the cache entry,
+  // passed on to cite.
+  function renderSummary(summary, citations = {}) {
+    if (typeof summary === "string") return renderMarkdown(summary);
+    if (!summary) return "";
+
+    const list = (items, render) =>
+      `<ul>${items.map((item) => `<li>${render(item)}</li>`).join("")}</ul>`;
+    const strings = (items) =>
+      Array.isArray(items) ? items.filter((item) => typeof item === "string" && item) : [];
+
+    let html = "";
+
+    const sinceLastTime = strings(summary.sinceLastTime);
+    if (sinceLastTime.length) {
+      html += `<h2>${msg("summarySinceLastTime")}</h2>${list(sinceLastTime, inlineFormat)}`;
+    }
+    if (summary.tldr) {
+      html += `<h2>${msg("summaryTldr")}</h2><p>${inlineFormat(summary.tldr)}</p>`;
+    }
+    if (summary.currentStatus) {
+      html += `<h2>${msg("summaryCurrentStatus")}</h2><p>${inlineFormat(summary.currentStatus)}</p>`;
+    }
+    const cites = (numbers) =>
+      Array.isArray(numbers)
+        ? numbers
+            .filter(Number.isInteger)
+            .map((n) => citation(n, citations && citations[n]))
+            .join(" ")
+        : "";
+    // Key points are plain strings in summaries cached before citations
+    const keyPoints = Array.isArray(summary.keyPoints)
+      ? summary.keyPoints
+          .map((point) => (typeof point === "string" ? { text: point } : point))
+          .filter((point) => point && typeof point.text === "string" && point.text)
+      : [];
+    if (keyPoints.length) {
+      html += `<h2>${msg("summaryKeyPoints")}</h2>${list(keyPoints, (point) =>
+        `${inlineFormat(point.text)} ${cites(point.comments)}`.trim()
+      )}`;
+    }
+    const actionItems = Array.isArray(summary.actionItems)
+      ? summary.actionItems.filter((item) => item && typeof item.task === "string")
+      : [];
+    if (actionItems.length) {
+      html += `<h2>${msg("summaryActionItems")}</h2>${list(actionItems, (item) => {
+        let li = `&#9744; ${inlineFormat(item.task)}`;
+        if (typeof item.owner === "string" && item.owner) {
+          li += ` <span class="dis-owner">@${escapeHtml(item.owner)}</span>`;
+        }
+        if (item.blocking === true) {
+          li += ` <span class="dis-tag dis-tag-blocking">${msg("summaryBlocking")}</span>`;
+        }
+        const itemCites = cites(item.comments);
+        if (itemCites) li += ` ${itemCites}`;
+        return li;
+      })}`;
+    }
+    if (summary.notableContext) {
+      html += `<h2>${msg("summaryNotableContext")}</h2><p>${inlineFormat(summary.notableContext)}</p>`;
+    }
+    const referenced = Array.isArray(summary.referencedComments)
+      ? summary.referencedComments.filter(Number.isInteger)
+      : [];
+    if (referenced.length) {
+      html += `<p class="dis-refs">${msg("summaryReferenced")} ${referenced
+        .map((n) => citation(n, citations && citations[n]))
+        .join(" ")}</p>`;
+    }
+    if (summary.truncated) {
+      html += `<p><em>[${msg("summaryTruncated")}]</em></p>`;
+    }
+    return html;
+  }
+
+  function renderLatestCode(code) {
+    if (!code || !code.latest) return "";
+    const latest = code.latest;
+    const details = [];
+    if (Number.isInteger(latest.commentNumber)) {
+      details.push(msg("codeComment", citation(latest.commentNumber)));
+    }
+    if (latest.author) details.push(escapeHtml(latest.author));
+    details.push(new Date(latest.createdAt).toLocaleDateString());
+
+    let html = `<div class="dis-code"><h2>${msg("codeHeading")}</h2>
+      <p>${linkHtml(escapeHtml(latest.url), escapeHtml(latest.label))}
+      <span class="dis-code-meta">${details.join(" &middot; ")}</span></p>`;
+    const diffstat = code.diffstat;
+    if (diffstat && diffstat.files.length) {
+      const count = diffstat.files.length;
+      const files = diffstat.files
+        .map(
+          (f) => `<li><code>${escapeHtml(f.path)}</code>
+            <span class="dis-added">+${f.added}</span>
+            <span class="dis-removed">&minus;${f.removed}</span></li>`
+        )
+        .join("");
+      html += `<details><summary>${msg(count === 1 ? "codeFilesOne" : "codeFilesOther", count)}
+        <span class="dis-added">+${diffstat.added}</span>
+        <span class="dis-removed">&minus;${diffstat.removed}</span>${
+          diffstat.partial ? ` ${msg("codePartial")}` : ""
+        }</summary><ul class="dis-diffstat">${files}</ul></details>`;
+    }
+    return html + "</div>";
+  }
+
+  // Issue tags, assignee and author as chips. "Needs ..." tags name work that
+  // is still to do, so they stand out.
+  function renderIssueChips(fields) {
+    if (!fields) return "";
+    const chips = fields.tags.map((tag) => {
+      const statusClass = /^needs\b/i.test(tag) ? "review" : "open";
+      return `<span class="dis-tag dis-status-${statusClass}">${escapeHtml(tag)}</span>`;
+    });
+    if (fields.assignee) {
+      chips.push(`<span class="dis-tag dis-chip-user">${msg("chipAssigned", escapeHtml(fields.assignee))}</span>`);
+    }
+    if (fields.author) {
+      chips.push(`<span class="dis-tag dis-chip-user">${msg("chipReporter", escapeHtml(fields.author))}</span>`);
+    }
+    return chips.join(" ");
+  }
+
+  const RELATION_LABELS = {
+    parent: msg("relationParent"),
+    ancestor: msg("relationAncestor"),
+    related: msg("relationRelated"),
+    child: msg("relationChild"),
+  };
+
+  // Status codes grouped for the chip colour
+  const STATUS_CLASSES = {
+    "2": "done", "7": "done",
+    "8": "review", "14": "review", "15": "review",
+    "4": "postponed", "16": "postponed",
+    "3": "closed", "5": "closed", "6": "closed", "18": "closed", "19": "closed",
+  };
+
+  function renderRelated(related) {
+    if (!Array.isArray(related) || related.length === 0) return "";
+    const items = related.map((r) => {
+      const url = `https://www.drupal.org/node/${encodeURIComponent(r.nid)}`;
+      const statusClass = STATUS_CLASSES[r.status] || "open";
+      return `<li><span class="dis-relation">${RELATION_LABELS[r.relation] || RELATION_LABELS.related}</span>
+        <a href="${url}" target="_blank" rel="noopener">#${escapeHtml(r.nid)} ${escapeHtml(r.title)}</a>
+        <span class="dis-tag dis-status-${statusClass}">${escapeHtml(r.statusLabel)}</span></li>`;
+    });
+    return `<div class="dis-related"><h2>${msg("relatedHeading")}</h2><ul>${items.join("")}</ul></div>`;
+  }
+
+  // Markdown-to-HTML renderer, for legacy cached summaries and any other
+  // free-form model output. Handles #-###### headings, nested - * + and 1.
+  // lists (with [ ] / [x] checkboxes), fenced code blocks, blockquotes, rules
+  // and paragraphs. Model output is often slightly malformed, so it never
+  // fails: unclosed fences run to the end, odd indentation is clamped, and
+  // anything unrecognized becomes a paragraph.
+  // Security: every piece of text goes through escapeHtml (directly or via
+  // inlineFormat) before any tags are added, and links are only emitted for
+  // http(s) URLs and same-page anchors.
+  function renderMarkdown(md) {
+    const lines = md.replace(/\r\n?/g, "\n").split("\n");
+    let html = "";
+    let paragraph = [];
+    // Open lists, innermost last: { indent, tag }
+    const lists = [];
+
+    function flushParagraph() {
+      if (paragraph.length === 0) return;
+      html += `<p>${paragraph.map(inlineFormat).join("<br>")}</p>`;
+      paragraph = [];
+    }
+
+    function closeLists(toDepth = 0) {
+      while (lists.length > toDepth) {
+        html += `</li></${lists.pop().tag}>`;
+      }
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      // Fenced code block: ``` or ~~~, optional language, closed by the same fence
+      const fence = line.match(/^\s*(`{3,}|~{3,})\s*([\w+-]*)/);
+      if (fence) {
+        flushParagraph();
+        closeLists();
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        const lang = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : "";
+        html += `<pre><code${lang}>${escapeHtml(code.join("\n"))}</code></pre>`;
+        continue;
+      }
+
+      // Blank line ends paragraphs but not lists (loose lists are common)
+      if (line.trim() === "") {
+        flushParagraph();
+        continue;
+      }
+
+      // Headings; the panel's h2 is the top level, so # and ## share it
+      const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        flushParagraph();
+        closeLists();
+        const level = Math.min(Math.max(heading[1].length, 2), 4);
+        html += `<h${level}>${inlineFormat(heading[2])}</h${level}>`;
+        continue;
+      }
+
+      // Horizontal rule
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        flushParagraph();
+        closeLists();
+        html += "<hr>";
+        continue;
+      }
+
+      // List item: bullet or number, optional checkbox
+      const item = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/);
+      if (item) {
+        flushParagraph();
+        const indent = item[1].replace(/\t/g, "    ").length;
+        const tag = /\d/.test(item[2]) ? "ol" : "ul";
+
+        // Pop lists that are deeper than this item
+        while (lists.length && indent < lists[lists.length - 1].indent) {
+          html += `</li></${lists.pop().tag}>`;
+        }
+        const top = lists[lists.length - 1];
+        if (!top || indent > top.indent) {
+          // Nested list (or first list); a nested list lives inside the open <li>
+          const start = tag === "ol" && parseInt(item[2], 10) !== 1
+            ? ` start="${parseInt(item[2], 10)}"`
+            : "";
+          html += `<${tag}${start}>`;
+          lists.push({ indent, tag });
+        } else if (top.tag !== tag) {
+          // Same level but the list type changed: start a new list
+          html += `</li></${lists.pop().tag}><${tag}>`;
+          lists.push({ indent, tag });
+        } else {
+          html += "</li>";
+        }
+
+        const checkbox = item[3]
+          ? item[3].trim() ? "&#9745; " : "&#9744; "
+          : "";
+        html += `<li>${checkbox}${inlineFormat(item[4])}`;
+        continue;
+      }
+
+      // Indented continuation of a list item
+      if (lists.length && /^\s+\S/.test(line) && paragraph.length === 0) {
+        html += ` ${inlineFormat(line.trim())}`;
+        continue;
+      }
+
+      // Blockquote (consecutive > lines)
+      if (/^\s{0,3}>/.test(line)) {
+        flushParagraph();
+        closeLists();
+        const quoted = [];
+        while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ""));
+          i++;
+        }
+        i--;
+        html += `<blockquote>${quoted.map(inlineFormat).join("<br>")}</blockquote>`;
+        continue;
+      }
+
+      // Anything else is paragraph text
+      closeLists();
+      paragraph.push(line.trim());
+    }
+
+    flushParagraph();
+    closeLists();
+    return html;
+  }
+
+  // Inline markdown plus Drupal-specific auto-links. Code spans and links are
+  // swapped for placeholders first so that later patterns (emphasis, auto-
+  // links) cannot reach inside them, then restored at the end.
+  function inlineFormat(text) {
+    const tokens = [];
+    const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    text = escapeHtml(text.replace(/\u0000/g, ""));
+
+    // `code`
+    text = text.replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`));
+
+    // [text](url): http(s) URLs, drupal.org-relative paths and same-page anchors
+    text = text.replace(
+      /\[([^\]]+)\]\(((?:https?:\/\/|\/|#)[^\s)]*)\)/g,
+      (_, label, url) => hold(linkHtml(resolveUrl(url), emphasis(label)))
+    );
+
+    // Bare URLs, stopping at escaped quotes/brackets and trailing punctuation;
+    // drupal.org issue URLs are shortened to #nid
+    text = text.replace(/\bhttps?:\/\/(?:(?!&(?:quot|#39|lt|gt);)[^\s\u0000])+/g, (match) => {
+      const url = match.replace(/(?:[.,;:!?)\]]|&amp;)+$/, "");
+      const trailing = match.slice(url.length);
+      const issue = url.match(/^https?:\/\/(?:www\.)?drupal\.org\/(?:project\/[\w-]+\/issues|node|i)\/(\d+)(?:[?#]\S*)?$/);
+      const label = issue && !url.includes("#comment-") ? `#${issue[1]}` : url;
+      return hold(linkHtml(url, label)) + trailing;
+    });
+
+    // Comment #12 -> citation link to that comment
+    text = text.replace(/\b([Cc]omments?\s+)#(\d{1,4})\b/g, (match, prefix, number) => {
+      const link = cite(Number(number));
+      return link ? hold(prefix + link) : match;
+    });
+
+    // #3575467 -> issue page (issue node IDs have at least 5 digits; shorter
+    // numbers are more likely list positions or comment numbers)
+    text = text.replace(/(^|[^\w&#])#(\d{5,})\b/g, (_, before, nid) =>
+      before + hold(linkHtml(`https://www.drupal.org/node/${nid}`, `#${nid}`))
+    );
+
+    // @username -> drupal.org profile (not e-mail addresses: no word char before)
+    text = text.replace(/(^|[^\w@.\/])@([A-Za-z0-9](?:[\w.-]*[A-Za-z0-9_])?)/g, (_, before, name) =>
+      before + hold(linkHtml(profileUrl(name), `@${name}`))
+    );
+
+    text = emphasis(text);
+    return text.replace(/\u0000(\d+)\u0000/g, (_, i) => tokens[i]);
+  }
+
+  // **bold**, __bold__, *italic*, _italic_, ~~strike~~ on already-escaped text
+  function emphasis(text) {
+    return text
+      .replace(/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^\w])__(?=\S)(.+?)(?<=\S)__(?!\w)/g, "$1<strong>$2</strong>")
+      .replace(/(^|[^\w*])\*(?=[^\s*])(.+?)(?<=[^\s*])\*(?![\w*])/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, "$1<em>$2</em>")
+      .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, "<del>$1</del>");
+  }
+
+  // drupal.org profile path aliases are the lowercased username with every run
+  // of other characters turned into a hyphen: "Jane Doe" -> /u/jane-doe
+  function profileUrl(name) {
+    const alias = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    return `https://www.drupal.org/u/${alias}`;
+  }
+
+  // url and label must already be escaped
+  function linkHtml(url, label) {
+    if (url.startsWith("#")) return `<a href="${url}">${label}</a>`;
+    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+  }
+
+  function resolveUrl(url) {
+    return url.startsWith("/") ? `https://www.drupal.org${url}` : url;
+  }
+
+  function escapeHtml(str) {
+    return str
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  return {
+    renderSummary,
+    renderLatestCode,
+    renderRelated,
+    renderIssueChips,
+    renderMarkdown,
+    inlineFormat,
+    profileUrl,
+    linkHtml,
+    escapeHtml,
+  };
+}
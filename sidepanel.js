@@ -0,0 +1,250 @@
+// Side panel: summaries of issues opened from the "Summarize this Drupal
+// issue" link menu or the keyboard command. The background worker leaves the
+// requested issue in session storage, where this page picks it up.
+
+const msg = (key, ...substitutions) => chrome.i18n.getMessage(key, substitutions.map(String));
+
+// Same data-i18n attributes as the popup
+function localizePage() {
+  document.documentElement.lang = chrome.i18n.getUILanguage();
+  for (const el of document.querySelectorAll("[data-i18n]")) {
+    el.textContent = msg(el.dataset.i18n);
+  }
+  for (const attr of ["title", "aria-label"]) {
+    for (const el of document.querySelectorAll(`[data-i18n-${attr}]`)) {
+      el.setAttribute(attr, msg(el.getAttribute(`data-i18n-${attr}`)));
+    }
+  }
+}
+
+localizePage();
+
+const els = {
+  badge: document.getElementById("badge"),
+  chips: document.getElementById("chips"),
+  reanalyze: document.getElementById("reanalyze"),
+  idle: document.getElementById("idle"),
+  issueLink: document.getElementById("issueLink"),
+  loading: document.getElementById("loading"),
+  loadingText: document.getElementById("loadingText"),
+  warning: document.getElementById("warning"),
+  content: document.getElementById("content"),
+  error: document.getElementById("error"),
+  footer: document.getElementById("footer"),
+  history: document.getElementById("history"),
+  historyEmpty: document.getElementById("historyEmpty"),
+};
+
+// The issue being shown: { nodeId, citations }
+let current = null;
+
+// Citations open the comment on drupal.org; the issue is not on this page
+const { renderSummary, renderLatestCode, renderRelated, renderIssueChips, escapeHtml } = createRenderer({
+  cite: (number, citation = current?.citations[number]) => {
+    if (!citation?.cid || !current) return null;
+    const url = `https://www.drupal.org/node/${current.nodeId}#comment-${encodeURIComponent(citation.cid)}`;
+    const title = [msg("citationTitle", number), citation.author, citation.created && new Date(citation.created).toLocaleDateString()]
+      .filter(Boolean)
+      .join(" · ");
+    return `<a class="dis-cite" href="${url}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(title)}">#${number}</a>`;
+  },
+});
+
+// Summaries stream over the same port as on issue pages, without the page's
+// comment numbers and field changes.
+let activePort = null;
+let requestId = 0;
+
+function summarize(nodeId, forceRefresh = false) {
+  const thisRequest = ++requestId;
+  if (activePort) activePort.disconnect();
+  current = { nodeId, citations: {} };
+  showLoading(nodeId);
+
+  const port = chrome.runtime.connect({ name: "summarize" });
+  activePort = port;
+  let pendingSummary = null;
+  let frame = 0;
+
+  function scheduleRender(summary) {
+    pendingSummary = summary;
+    if (frame) return;
+    frame = requestAnimationFrame(() => {
+      frame = 0;
+      if (thisRequest !== requestId) return;
+      els.loading.style.display = "none";
+      els.content.innerHTML = renderSummary(pendingSummary);
+      els.content.style.display = "block";
+      els.badge.textContent = msg("badgeWriting");
+    });
+  }
+
+  port.onMessage.addListener((message) => {
+    if (thisRequest !== requestId) return;
+    if (message.type === "delta") {
+      scheduleRender(message.summary);
+      return;
+    }
+    if (message.type === "progress") {
+      els.loadingText.textContent = message.text;
+      return;
+    }
+    if (message.type === "warning") {
+      els.warning.textContent = message.text;
+      els.warning.style.display = "flex";
+      return;
+    }
+    if (message.type === "retry") {
+      if (frame) cancelAnimationFrame(frame);
+      frame = 0;
+      els.content.style.display = "none";
+      els.loadingText.textContent = message.text;
+      els.loading.style.display = "flex";
+      els.badge.textContent = msg("badgeRetrying");
+      return;
+    }
+    if (frame) cancelAnimationFrame(frame);
+    port.disconnect();
+    activePort = null;
+    if (message.type === "error") {
+      showError(message.error);
+      return;
+    }
+    showSummary(nodeId, message.summary, message.fromCache, message.meta);
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (thisRequest !== requestId || activePort !== port) return;
+    activePort = null;
+    showError(chrome.runtime.lastError?.message || msg("errorNoResponse"));
+  });
+
+  port.postMessage({ action: "SUMMARIZE_ISSUE", nodeId, forceRefresh });
+}
+
+function showLoading(nodeId) {
+  els.idle.style.display = "none";
+  showIssueLink(nodeId);
+  els.chips.replaceChildren();
+  els.loadingText.textContent = msg("panelAnalyzing");
+  els.loading.style.display = "flex";
+  els.warning.style.display = "none";
+  els.content.style.display = "none";
+  els.error.style.display = "none";
+  els.footer.style.display = "none";
+  els.reanalyze.disabled = true;
+  els.badge.textContent = msg("badgeLoading");
+  els.badge.className = "dis-badge dis-badge-loading";
+}
+
+function showIssueLink(nodeId, title) {
+  els.issueLink.href = `https://www.drupal.org/node/${nodeId}`;
+  els.issueLink.textContent = title ? `#${nodeId}: ${title}` : `#${nodeId}`;
+  els.issueLink.style.display = "block";
+}
+
+function showSummary(nodeId, summary, fromCache, meta) {
+  current = { nodeId, citations: meta?.citations || {} };
+  showIssueLink(nodeId, meta?.title);
+  els.loading.style.display = "none";
+  els.error.style.display = "none";
+  els.content.innerHTML =
+    renderSummary(summary, current.citations) +
+    renderLatestCode(meta && meta.code) +
+    renderRelated(meta && meta.related);
+  els.content.style.display = "block";
+  els.footer.textContent = footerText(meta);
+  els.footer.style.display = "block";
+  els.chips.innerHTML = renderIssueChips(meta?.fields);
+  els.reanalyze.style.display = "flex";
+  els.reanalyze.disabled = false;
+  els.badge.textContent = msg(fromCache ? "badgeCached" : "badgeFresh");
+  els.badge.className = `dis-badge ${fromCache ? "dis-badge-cached" : "dis-badge-fresh"}`;
+  addToHistory(nodeId, meta?.title);
+}
+
+function footerText(meta) {
+  const parts = [];
+  if (meta && meta.generatedAt) {
+    parts.push(msg("footerSummarized", new Date(meta.generatedAt).toLocaleString(), meta.commentCount));
+  }
+  if (meta && meta.model) {
+    parts.push(
+      meta.requestedModel
+        ? msg("footerModelFallback", meta.model, meta.requestedModel)
+        : msg("footerModel", meta.model)
+    );
+  }
+  return parts.join(" · ");
+}
+
+function showError(message) {
+  els.idle.style.display = "none";
+  els.loading.style.display = "none";
+  els.content.style.display = "none";
+  els.footer.style.display = "none";
+  els.error.textContent = message;
+  els.error.style.display = "block";
+  els.reanalyze.disabled = !current;
+  els.badge.textContent = msg("badgeError");
+  els.badge.className = "dis-badge dis-badge-error";
+}
+
+els.reanalyze.addEventListener("click", () => {
+  if (current) summarize(current.nodeId, true);
+});
+
+// Issues requested from the context menu or keyboard command
+function handleRequest(request) {
+  if (!request) return;
+  if (request.nodeId) {
+    summarize(request.nodeId);
+  } else {
+    current = null;
+    els.issueLink.style.display = "none";
+    els.reanalyze.style.display = "none";
+    showError(request.error);
+  }
+}
+
+chrome.storage.session.get("sidePanelIssue", (data) => {
+  if (!chrome.runtime.lastError) handleRequest(data.sidePanelIssue);
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "session" && changes.sidePanelIssue) handleRequest(changes.sidePanelIssue.newValue);
+  if (area === "local" && changes.sidePanelHistory) renderHistory(changes.sidePanelHistory.newValue);
+});
+
+// Recently summarized issues, most recent first
+const HISTORY_MAX = 15;
+
+function addToHistory(nodeId, title) {
+  chrome.storage.local.get("sidePanelHistory", (data) => {
+    if (chrome.runtime.lastError) return;
+    const history = (data.sidePanelHistory || []).filter((item) => item.nodeId !== nodeId);
+    history.unshift({ nodeId, title: title || "", viewedAt: Date.now() });
+    chrome.storage.local.set({ sidePanelHistory: history.slice(0, HISTORY_MAX) });
+  });
+}
+
+function renderHistory(history = []) {
+  els.history.replaceChildren(
+    ...history.map((item) => {
+      const li = document.createElement("li");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = item.title ? `#${item.nodeId}: ${item.title}` : `#${item.nodeId}`;
+      button.title = new Date(item.viewedAt).toLocaleString();
+      button.setAttribute("aria-current", String(item.nodeId === current?.nodeId));
+      button.addEventListener("click", () => summarize(item.nodeId));
+      li.appendChild(button);
+      return li;
+    })
+  );
+  els.historyEmpty.style.display = history.length ? "none" : "block";
+}
+
+chrome.storage.local.get("sidePanelHistory", (data) => {
+  if (!chrome.runtime.lastError) renderHistory(data.sidePanelHistory);
+});